@@ -1,119 +1,84 @@
 const visit = require("unist-util-visit");
-const plantumlEncoder = require("plantuml-encoder");
 const fs = require("fs-extra");
 const path = require("path");
 const crypto = require("crypto");
+const { createRenderer, plantumlServerUrl } = require("./lib/renderers");
+const { inlineSvg, processSvg, svgProcessingKey, svgProcessingSettings, withSanitize } = require("./lib/svg");
+const { escapeHtml } = require("./lib/html");
+const { createLog } = require("./lib/log");
+const { processIncludes, readDiagramFile } = require("./lib/includes");
+const { blockSettings, documentSettings } = require("./lib/meta");
+const { createLimiter } = require("./lib/limit");
+const { manifestPath, prune, recordDocument } = require("./lib/manifest");
+const { addFigure, createFigureNode, figureSettings, resolveCrossReferences } = require("./lib/figures");
+const { DependencyGraph } = require("./lib/graph");
+const { DiagramWatcher } = require("./lib/watch");
+const { addAmbles, ambleText, insertPreamble } = require("./lib/preamble");
+const { themeVariants } = require("./lib/themes");
+const { diagramReference } = require("./lib/references");
+const { countPages, createPagesNode, pageBlock } = require("./lib/pages");
+const { createPictureNode } = require("./lib/picture");
+const { dataUrl, formatVariants, mimeType, scaleDiagram, srcset } = require("./lib/formats");
+const { DEFAULT_FILENAME, checkFilenameTemplate, documentFields, outputLocation, slugify } = require("./lib/output");
+const {
+  createDescribedNode,
+  descriptionHtml,
+  descriptionSettings,
+  diagramSummary,
+  diagramTitle
+} = require("./lib/describe");
 
 const DEFAULT_OPTIONS = {
+  languages: ["plantuml", "puml", "uml"], // Code fence languages rendered as PlantUML diagrams
+  imageReferences: true, // Whether to render markdown images of .puml files, e.g. ![Context](./arch.puml)
+  htmlImages: false, // Whether to render <img src="arch.puml"> html nodes too
   baseUrl: "https://www.plantuml.com/plantuml",
   outputFormat: "png", // "png" or "svg"
+  outputFormats: null, // Formats rendered for every diagram in order of preference, e.g. ["svg", "png"]
+  scales: [1], // Scale factors of PNG images, e.g. [1, 2, 3] for high-DPI screens
   outputDir: "./static", // Directory to store generated images
-  inlineImage: false, // Whether to inline images (SVG as HTML, PNG as PlantUML server URLs)
-  includePath: "./", // Base path for resolving included .puml files
-  urlPrefix: "/" // URL prefix to replace "./" in generated image URLs
+  filename: DEFAULT_FILENAME, // Image path in outputDir, e.g. "{docPath}/{id|index}-{hash:8}.{ext}"
+  resolveOutput: null, // Function returning the { path, url } of an image instead of filename and urlPrefix
+  inlineImage: false, // Whether to reference images on the PlantUML server instead of local files
+  inlineSvg: false, // Whether to embed SVG markup in the document as HTML (outputFormat "svg" only)
+  dataUri: false, // Whether to embed images in the document as data: URLs
+  dataUriLimit: 32768, // Largest image in bytes embedded with dataUri, bigger ones stay files; 0 for no limit
+  svgProcessing: false, // Whether to sanitize, strip, make responsive and minify SVGs, or processing options
+  includePath: null, // Directory searched for included .puml files after the document's directory
+  includePaths: [], // More directories searched for included .puml files, in order
+  includeAliases: {}, // Include prefixes mapped to directories, e.g. { "@styles": "./shared/styles" }
+  includeRoots: null, // Directories included files must be in, or null to allow any file
+  untrusted: false, // Whether documents come from untrusted authors: includes are limited to the include directories
+  urlPrefix: "/", // URL prefix to replace "./" in generated image URLs
+  renderer: "auto", // "auto", "server", "local" or an object with a render(code, format) method
+  plantumlCommand: null, // Local PlantUML executable, e.g. "plantuml" or ["plantuml", "-Playout=smetana"]
+  plantumlJar: null, // Path to plantuml.jar, run with javaCommand
+  javaCommand: "java", // Java executable used with plantumlJar
+  figures: false, // Whether to wrap diagrams in numbered <figure> elements, or figure options
+  description: false, // Whether to add a long description: true, "summary", "txt", "utxt" or description options
+  themes: false, // Whether to render light and dark variants in a <picture>, or { light, dark } preambles
+  preamble: null, // PlantUML lines, a .puml file or { file }, added after the @startuml line of every diagram
+  postamble: null, // PlantUML lines, or a .puml file, added before the @enduml line of every diagram
+  manifest: false, // Whether to record the images each document references, or the manifest path
+  dependencyGraph: null, // DependencyGraph recording which diagrams include which files, for watching
+  timeout: 30000, // Milliseconds to wait for one render, 0 to wait forever
+  retries: 2, // How often a failed server request is repeated (429, 5xx, timeouts and network errors)
+  retryDelay: 200, // Milliseconds before the first retry, doubled for each next one
+  concurrency: 4, // Maximum number of diagrams rendered at the same time, across all documents
+  onError: "remote-url", // "remote-url", "fail", "keep-code" or "placeholder" when a diagram cannot be rendered
+  verbose: false, // Whether to trace includes, cache hits and renders on the console
+  logger: null // Function receiving trace messages instead of the console
 };
 
-/**
- * Fetches PlantUML diagram and returns the image data
- * @param {string} plantumlCode - The PlantUML code
- * @param {Object} options - Plugin options
- * @returns {Promise<Buffer>} - Image data as buffer
- */
-async function fetchPlantUMLImage(plantumlCode, options) {
-  const encoded = plantumlEncoder.encode(plantumlCode);
-  const url = `${options.baseUrl}/${options.outputFormat}/${encoded}`;
+// Source of the messages reported on the vfile
+const MESSAGE_SOURCE = "remark-plantuml-local";
 
-  try {
-    const fetchImpl = options.fetch || require("node-fetch");
-    const response = await fetchImpl(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch PlantUML image: ${response.status} ${response.statusText}`);
-    }
-    return await response.buffer();
-  } catch (error) {
-    console.error(`Error fetching PlantUML image: ${error.message}`);
-    throw error;
-  }
-}
+const ERROR_POLICIES = ["remote-url", "fail", "keep-code", "placeholder"];
 
-/**
- * Processes include directives in PlantUML code
- * @param {string} plantumlCode - The PlantUML code
- * @param {string} basePath - Base path for resolving includes
- * @returns {Promise<string>} - Processed PlantUML code
- */
-async function processIncludes(plantumlCode, basePath) {
-  let processedCode = plantumlCode;
-
-  console.log("Processing includes in:", plantumlCode);
-
-  // Process !include directives
-  const includeRegex = /!include\s+(.+)$/gm;
-  let match;
-
-  while ((match = includeRegex.exec(plantumlCode)) !== null) {
-    const includePath = match[1].trim();
-
-    // Check if it's a .puml file
-    if (includePath.endsWith(".puml")) {
-      try {
-        const fullPath = path.resolve(basePath, includePath);
-        const includedContent = await fs.readFile(fullPath, "utf8");
-        console.log("Included content:", includedContent);
-
-        // Recursively process includes in the included file
-        const processedIncludedContent = await processIncludes(includedContent, path.dirname(fullPath));
-
-        // Clean @startuml and @enduml directives from included content
-        const cleanedContent = processedIncludedContent
-          .replace(/^\s*@startuml\s*$/gm, "") // Remove @startuml lines
-          .replace(/^\s*@enduml\s*$/gm, "") // Remove @enduml lines
-          .trim(); // Remove extra whitespace
-
-        // Replace the include directive with the cleaned file content
-        processedCode = processedCode.replace(match[0], cleanedContent);
-        console.log(`📄 PlantUML include processed: ${includePath}`);
-        console.log("Processed code:", processedCode);
-      } catch (error) {
-        console.error(`Error processing include ${includePath}: ${error.message}`);
-        // Keep the original include directive if file can't be read
-      }
-    }
-  }
+// Bumped when the way images are rendered or stored changes, to invalidate old caches
+const CACHE_VERSION = 1;
 
-  // Process ::include{file=...} directives
-  const includeFileRegex = /::include\{file=([^}]+)\}/gm;
-
-  while ((match = includeFileRegex.exec(processedCode)) !== null) {
-    const includePath = match[1].trim();
-
-    // Check if it's a .puml file
-    if (includePath.endsWith(".puml")) {
-      try {
-        const fullPath = path.resolve(basePath, includePath);
-        const includedContent = await fs.readFile(fullPath, "utf8");
-
-        // Recursively process includes in the included file
-        const processedIncludedContent = await processIncludes(includedContent, path.dirname(fullPath));
-
-        // Clean @startuml and @enduml directives from included content
-        const cleanedContent = processedIncludedContent
-          .replace(/^\s*@startuml\s*$/gm, "") // Remove @startuml lines
-          .replace(/^\s*@enduml\s*$/gm, "") // Remove @enduml lines
-          .trim(); // Remove extra whitespace
-
-        // Replace the include directive with the cleaned file content
-        processedCode = processedCode.replace(match[0], cleanedContent);
-        console.log(`📄 PlantUML include processed: ${includePath}`);
-      } catch (error) {
-        console.error(`Error processing include ${includePath}: ${error.message}`);
-        // Keep the original include directive if file can't be read
-      }
-    }
-  }
-
-  return processedCode;
-}
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
 
 /**
  * Generates a SHA-256 hash from PlantUML code
@@ -128,51 +93,279 @@ function generateHash(plantumlCode) {
 }
 
 /**
- * Converts PlantUML code to a filename
+ * Builds the part of the cache key that does not depend on the diagram:
+ * the format, everything about the renderer that changes its output, the
+ * post-processing of SVGs and the page
+ * @param {string} format - Image format (png/svg)
+ * @param {Object} renderer - Renderer producing the image
+ * @param {Object|null} [svgProcessing] - Settings from `svgProcessingSettings`
+ * @param {number} [page] - Page of a diagram split with `newpage`, counted from 0
+ * @returns {Promise<string>} - Cache key
+ */
+async function renderCacheKey(format, renderer, svgProcessing = null, page = 0) {
+  const rendererKey = typeof renderer.cacheKey === "function" ? await renderer.cacheKey() : renderer.name || "custom";
+  const key = [CACHE_VERSION, format, rendererKey];
+  // Unprocessed images and first pages keep the names they always had
+  if (svgProcessing && format === "svg") key.push(svgProcessingKey(svgProcessing));
+  if (page > 0) key.push(`page:${page}`);
+  return JSON.stringify(key);
+}
+
+/**
+ * Generates the hash identifying an image, which is part of its filename
  * @param {string} plantumlCode - The PlantUML code
+ * @param {string} [cacheKey] - Render settings hashed together with the code
+ * @returns {string} - SHA-256 hash (hex string)
+ */
+function diagramHash(plantumlCode, cacheKey = "") {
+  return generateHash(cacheKey ? `${cacheKey}\n${plantumlCode}` : plantumlCode);
+}
+
+/**
+ * Checks that image data is complete: a PNG signature, an SVG root element
+ * that is closed, or at least some data for other formats
+ * @param {Buffer} imageData - Image data as buffer
  * @param {string} format - Image format (png/svg)
- * @returns {string} - Filename
+ * @returns {boolean} - Whether the data looks like a complete image
  */
-function plantumlToFilename(plantumlCode, format) {
-  const hash = generateHash(plantumlCode);
-  return `plantuml-${hash}.${format}`;
+function isValidImage(imageData, format) {
+  if (format === "png") {
+    return imageData.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+  }
+  if (format === "svg") {
+    const svg = imageData.toString("utf8");
+    return /<svg[\s>]/.test(svg) && /<\/svg>\s*$/.test(svg);
+  }
+  return imageData.length > 0;
 }
 
 /**
- * Checks if a cached image file exists and returns the filename if it does
+ * Checks if a valid cached image file exists and returns the filename if it does
  * @param {string} outputDir - Output directory
  * @param {string} filename - The filename to check
+ * @param {string} format - Image format (png/svg)
+ * @param {function(string): void} [log] - Trace function
  * @returns {Promise<string|null>} - Filename if cached, null if not
  */
-async function checkCache(outputDir, filename) {
-  await fs.ensureDir(outputDir);
-  const filePath = path.join(outputDir, filename);
+async function checkCache(outputDir, filename, format, log = () => {}) {
+  const filePath = path.resolve(outputDir, filename);
+  // Filename templates can put images in subdirectories
+  await fs.ensureDir(path.dirname(filePath));
 
-  console.log(`🔍 Checking cache for: ${filename}`);
+  log(`🔍 Checking cache for: ${filename}`);
   if (await fs.pathExists(filePath)) {
-    console.log(`✅ Cache hit! Using existing file: ${filePath}`);
-    return filename;
+    if (isValidImage(await fs.readFile(filePath), format)) {
+      log(`✅ Cache hit! Using existing file: ${filePath}`);
+      return filename;
+    }
+    log(`⚠️ Ignoring damaged cache file: ${filePath}`);
+    await fs.remove(filePath);
   }
 
-  console.log(`❌ Cache miss for: ${filename}`);
+  log(`❌ Cache miss for: ${filename}`);
   return null;
 }
 
 /**
- * Saves image data to file and returns the filename
+ * Saves image data to file and returns the filename.
+ * The data is written to a temporary file first and renamed, so an
+ * interrupted write never leaves a truncated image behind.
  * @param {Buffer} imageData - Image data as buffer
  * @param {string} outputDir - Output directory
  * @param {string} filename - The filename to save
+ * @param {function(string): void} [log] - Trace function
  * @returns {Promise<string>} - Filename only
  */
-async function saveImageToFile(imageData, outputDir, filename) {
-  const filePath = path.join(outputDir, filename);
+async function saveImageToFile(imageData, outputDir, filename, log = () => {}) {
+  const filePath = path.resolve(outputDir, filename);
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
 
-  await fs.writeFile(filePath, imageData);
-  console.log(`📁 PlantUML diagram saved: ${filePath} (${(imageData.length / 1024).toFixed(1)} KB)`);
+  try {
+    await fs.writeFile(tempPath, imageData);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+  log(`📁 PlantUML diagram saved: ${filePath} (${(imageData.length / 1024).toFixed(1)} KB)`);
   return filename;
 }
 
+/**
+ * Renders a diagram into the output directory unless a cached copy exists
+ * @param {string} plantumlCode - The processed PlantUML code
+ * @param {string} format - Image format (png/svg)
+ * @param {Object} options - Plugin options
+ * @param {Object} renderer - Renderer used on a cache miss
+ * @param {function(string): void} [log] - Trace function
+ * @param {number} [page] - Page of a diagram split with `newpage`, counted from 0
+ * @param {Object} [fields] - Values of the filename template placeholders besides `hash` and `ext`
+ * @returns {Promise<{filename: string, url: string}>} - Path relative to the output directory and image URL
+ */
+async function renderToFile(plantumlCode, format, options, renderer, log, page = 0, fields = {}) {
+  const svgProcessing = svgProcessingSettings(options.svgProcessing);
+
+  // Generate filename from PlantUML code and the render settings
+  const cacheKey = await renderCacheKey(format, renderer, svgProcessing, page);
+  const hash = diagramHash(plantumlCode, cacheKey);
+  const { filename, url } = await outputLocation({ ...fields, hash, ext: format }, options);
+
+  // Check cache first
+  const cachedFilename = await checkCache(options.outputDir, filename, format, log);
+
+  if (!cachedFilename) {
+    // Render the image and save to file
+    let imageData = await renderer.render(plantumlCode, format, page);
+    if (!isValidImage(imageData, format)) {
+      throw new Error(`PlantUML renderer returned an incomplete ${format} image`);
+    }
+    if (svgProcessing && format === "svg") {
+      const svg = await processSvg(imageData.toString("utf8"), svgProcessing, { code: plantumlCode });
+      imageData = Buffer.from(svg, "utf8");
+      if (!isValidImage(imageData, format)) {
+        throw new Error("SVG processing returned an incomplete svg image");
+      }
+    }
+    await saveImageToFile(imageData, options.outputDir, filename, log);
+  }
+
+  return { filename, url };
+}
+
+/**
+ * Embeds a rendered image as a data: URL when `dataUri` is on and the image
+ * is small enough, so the document needs no other files
+ * @param {{filename: string, url: string}} output - Location returned by `renderToFile`
+ * @param {string} format - Image format (png/svg)
+ * @param {Object} options - Plugin options
+ * @param {function(string): void} [log] - Trace function
+ * @returns {Promise<string>} - Data URL, or the URL of the file
+ */
+async function embeddedUrl(output, format, options, log = () => {}) {
+  if (!options.dataUri) return output.url;
+
+  const imageData = await fs.readFile(path.resolve(options.outputDir, output.filename));
+  if (options.dataUriLimit > 0 && imageData.length > options.dataUriLimit) {
+    log(`📦 Image too large to embed (${imageData.length} > ${options.dataUriLimit} bytes): ${output.filename}`);
+    return output.url;
+  }
+  return dataUrl(imageData, format);
+}
+
+/**
+ * Wraps a renderer so renders wait for a free slot of the limiter
+ * @param {Object} renderer - Renderer
+ * @param {function} limit - Limiter created by `createLimiter`
+ * @returns {Object} - Renderer with a limited `render` method
+ */
+function limitRenderer(renderer, limit) {
+  return {
+    name: renderer.name,
+    cacheKey: typeof renderer.cacheKey === "function" ? () => renderer.cacheKey() : undefined,
+    render: (...args) => limit(() => renderer.render(...args))
+  };
+}
+
+/**
+ * Creates an image node carrying the alt text, title and attributes of a block
+ * @param {string} url - Image URL
+ * @param {Object} block - Block settings from the code fence meta string
+ * @returns {Object} - mdast image node
+ */
+function createImageNode(url, block) {
+  const imageNode = {
+    type: "image",
+    url,
+    alt: block.alt,
+    title: block.title
+  };
+
+  if (Object.keys(block.properties).length > 0) {
+    imageNode.data = { hProperties: { ...block.properties } };
+  }
+
+  return imageNode;
+}
+
+/**
+ * Creates the node showing the rendered images of a diagram: an image node
+ * for a single image, otherwise a `<picture>` with a `<source>` for each
+ * theme and format. The last format of the default theme is the `<img>`.
+ * @param {Object[]} images - `{ name, media, format, scale, url }` in order of preference, default theme first
+ * @param {Object} block - Block settings from the code fence meta string
+ * @returns {Object} - mdast image or html node
+ */
+function createDiagramNode(images, block) {
+  if (images.length === 1) return createImageNode(images[0].url, block);
+
+  // The scales of one theme and format share a srcset
+  const groups = [];
+  for (const image of images) {
+    let group = groups.find(({ name, format }) => name === image.name && format === image.format);
+    if (!group) {
+      group = { name: image.name, media: image.media, format: image.format, images: [] };
+      groups.push(group);
+    }
+    group.images.push(image);
+  }
+
+  const defaultTheme = groups[0].name;
+  const fallback = groups.filter(({ name }) => name === defaultTheme).pop();
+  const typed = new Set(images.map(({ format }) => format)).size > 1;
+  // Sources with a media query come first, or the default theme would always match
+  const sources = [
+    ...groups.filter(({ name }) => name !== defaultTheme),
+    ...groups.filter(group => group.name === defaultTheme && group !== fallback)
+  ];
+
+  return createPictureNode(
+    sources.map(group => ({
+      media: group.media,
+      type: typed ? mimeType(group.format) : undefined,
+      srcset: srcset(group.images)
+    })),
+    {
+      src: fallback.images[0].url,
+      srcset: fallback.images.length > 1 ? srcset(fallback.images) : undefined,
+      alt: block.alt,
+      title: block.title,
+      properties: block.properties
+    }
+  );
+}
+
+/**
+ * Creates a visible error box shown in place of a diagram that failed to render
+ * @param {Error} error - Render error
+ * @returns {Object} - mdast html node
+ */
+function createPlaceholderNode(error) {
+  return {
+    type: "html",
+    value: `<div class="plantuml-error" role="alert"><strong>PlantUML error</strong><pre>${escapeHtml(
+      error.message
+    )}</pre></div>`
+  };
+}
+
+/**
+ * Converts an offset in the code of a fenced code block to a point in the document
+ * @param {Object} node - mdast code node
+ * @param {string} code - Value of the code node
+ * @param {number} [offset] - Offset in the code, or undefined for the whole block
+ * @returns {Object|undefined} - Line and column in the document
+ */
+function codePoint(node, code, offset) {
+  if (!node.position || offset === undefined) return node.position;
+
+  // The code starts on the line after the opening fence
+  const lines = code.slice(0, offset).split("\n");
+  return {
+    line: node.position.start.line + lines.length,
+    column: node.position.start.column + lines[lines.length - 1].length
+  };
+}
+
 /**
  * Plugin for remark-js
  *
@@ -184,74 +377,327 @@ async function saveImageToFile(imageData, outputDir, filename) {
 function remarkSimplePlantumlPlugin(pluginOptions) {
   const options = { ...DEFAULT_OPTIONS, ...pluginOptions };
 
-  return async function transformer(syntaxTree) {
+  if (!ERROR_POLICIES.includes(options.onError)) {
+    throw new Error(`Unknown onError policy: ${options.onError}`);
+  }
+
+  const log = createLog(options);
+  const languages = options.languages.map(language => language.toLowerCase());
+  const themes = themeVariants(options.themes);
+  // Fails early on invalid scales and filename templates
+  formatVariants(options);
+  checkFilenameTemplate(options.filename);
+  const renderer = limitRenderer(createRenderer(options), createLimiter(options.concurrency));
+  const figureOptions = figureSettings(options.figures);
+  const descriptionOptions = descriptionSettings(options.description);
+  const manifestFile = manifestPath(options.manifest, options.outputDir);
+
+  return async function transformer(syntaxTree, file) {
     const promises = [];
+    const images = [];
+    const svgIdPrefixes = new Map();
+    const figures = [];
+    const figureBlocks = [];
+    const graphDiagrams = [];
+    let diagramCount = 0;
+
+    // Problems are reported on the file, so reporters and editors can show them like lint messages
+    const warn = (reason, place, ruleId) => {
+      if (file) file.message(reason, { place, ruleId, source: MESSAGE_SOURCE });
+    };
+
+    // Relative includes are resolved against the document, not the directory the build runs in
+    const cwd = (file && file.cwd) || process.cwd();
+    const documentDir = file && file.path ? path.resolve(cwd, file.dirname) : cwd;
+    const docFields = documentFields(file, cwd);
+    const includeSettings = {
+      searchPaths: [options.includePath, ...options.includePaths].filter(Boolean).map(dir => path.resolve(cwd, dir)),
+      aliases: Object.fromEntries(
+        Object.entries(options.includeAliases).map(([alias, dir]) => [alias, path.resolve(cwd, dir)])
+      ),
+      roots: options.includeRoots ? options.includeRoots.map(dir => path.resolve(cwd, dir)) : null
+    };
+
+    // Shared lines for every diagram; the document's frontmatter can replace them
+    const ambleFiles = [];
+    const pluginAmbleFile = ambleFile => {
+      const fullPath = path.resolve(cwd, ambleFile);
+      ambleFiles.push(fullPath);
+      return fullPath;
+    };
+    const frontmatter = documentSettings(file);
+    const ambles = {
+      preamble:
+        frontmatter.preamble !== undefined
+          ? ambleText(frontmatter.preamble)
+          : ambleText(options.preamble, pluginAmbleFile),
+      postamble:
+        frontmatter.postamble !== undefined
+          ? ambleText(frontmatter.postamble)
+          : ambleText(options.postamble, pluginAmbleFile)
+    };
+
+    if (!includeSettings.roots && options.untrusted) {
+      // Untrusted documents can only include from the directories includes are looked up in,
+      // and the preamble files the plugin options name
+      includeSettings.roots = [
+        documentDir,
+        ...includeSettings.searchPaths,
+        ...Object.values(includeSettings.aliases),
+        ...ambleFiles
+      ];
+    }
+
+    /**
+     * Renders a diagram in place of the node holding or referencing it
+     * @param {Object} node - Code block, image, html node or the paragraph around an image
+     * @param {number} index - Position of the node in its parent
+     * @param {Object} parent - Parent node
+     * @param {Object} diagram - `value` identifying the diagram, `block` settings, `load(context)` returning
+     *   the code with the preamble and includes added, `sourcePoint(offset)` placing problems in the document
+     *   and `fallbackCode` for the server URL when the diagram cannot be loaded, or null to keep the node
+     */
+    const renderDiagram = (node, index, parent, { value, block, load, sourcePoint, fallbackCode }) => {
+      const blockOptions = block.options;
+      const number = ++diagramCount;
+      // Placeholders of the filename template; the alt text can come from the diagram title later
+      const filenameFields = () => ({
+        ...docFields,
+        id: slugify(block.properties.id || ""),
+        title: slugify(block.title || block.alt || ""),
+        index: number
+      });
 
-    visit(syntaxTree, "code", (node, index, parent) => {
-      let { lang, value, meta } = node;
-      if (!lang || !value || lang !== "plantuml") return;
+      // Figures are numbered in document order, before any rendering finishes.
+      // Images within a paragraph are replaced inline, where a figure cannot go.
+      if (figureOptions && parent.type !== "paragraph") {
+        figureBlocks.push({ parent, index, figure: addFigure(figures, block, figureOptions) });
+      }
+
+      // Element IDs of inlined SVGs get a prefix that is unique within the document
+      const hashPrefix = `plantuml-${generateHash(value).slice(0, 8)}`;
+      const occurrence = (svgIdPrefixes.get(hashPrefix) || 0) + 1;
+      svgIdPrefixes.set(hashPrefix, occurrence);
+      const svgIdPrefix = occurrence === 1 ? `${hashPrefix}-` : `${hashPrefix}-${occurrence}-`;
+
+      const formats = formatVariants(blockOptions);
+      const fallbackFormat = formats[formats.length - 1].format;
+      const svgMode = blockOptions.inlineSvg === true && formats[0].format === "svg";
+      // Embedding data URLs needs the image itself, so it wins over server URLs
+      const dataUriMode = !svgMode && blockOptions.dataUri === true;
+      const serverUrlMode = !svgMode && !dataUriMode && blockOptions.inlineImage === true;
+      // An inlined SVG cannot switch images, so it only gets the default theme
+      const variants = svgMode ? themes.slice(0, 1) : themes;
+      const imageFormats = svgMode ? [{ format: "svg", scale: 1 }] : formats;
+      // SVGs of untrusted authors become part of the page, so they are always sanitized
+      const renderOptions =
+        svgMode && blockOptions.untrusted
+          ? { ...blockOptions, svgProcessing: withSanitize(blockOptions.svgProcessing) }
+          : blockOptions;
+
+      // Renders each page in each theme variant, format and scale; every image has its own hashed file
+      const renderVariants = code => {
+        const pages = [...Array(countPages(code)).keys()];
+        return Promise.all(
+          variants.flatMap(variant =>
+            imageFormats.flatMap(({ format, scale }) =>
+              pages.map(async page => {
+                const variantCode = scaleDiagram(insertPreamble(code, variant.preamble), scale);
+                const image = { ...variant, format, scale, page };
+                if (serverUrlMode) {
+                  return { ...image, url: plantumlServerUrl(variantCode, format, blockOptions, page) };
+                }
+                const fields = { ...filenameFields(), page: page + 1, scale, theme: variant.name };
+                const output = await renderToFile(variantCode, format, renderOptions, renderer, log, page, fields);
+                const url = dataUriMode ? await embeddedUrl(output, format, blockOptions, log) : output.url;
+                return { ...image, ...output, url };
+              })
+            )
+          )
+        );
+      };
+
+      // Groups rendered images by page, keeping their order of preference
+      const byPage = rendered =>
+        [...new Set(rendered.map(({ page }) => page))].map(page => rendered.filter(image => image.page === page));
+
+      // Renders the block again with the current content of its includes, for the watcher
+      const rerender = async () => {
+        const dependencies = new Set();
+        try {
+          const code = await load({ ...includeSettings, dependencies, log });
+          const [primary] = await renderVariants(code);
+          return { output: primary.filename || primary.url, dependencies: [...dependencies] };
+        } catch (error) {
+          return { error, dependencies: [...dependencies] };
+        }
+      };
 
       // Process includes in PlantUML code
-      const processPromise = processIncludes(value, options.includePath).then(async processedCode => {
+      const dependencies = new Set();
+      const includeContext = {
+        ...includeSettings,
+        dependencies,
+        warn: (message, offset) => warn(message, sourcePoint(offset), "include"),
+        log
+      };
+      // Creates the long description of the diagram; a failure only costs the description
+      const describe = async code => {
         try {
-          if (options.inlineImage === true) {
-            // Create inline image node with PlantUML server URL for both SVG and PNG
-            const encoded = plantumlEncoder.encode(processedCode);
-            const imageUrl = `${options.baseUrl}/${options.outputFormat}/${encoded}`;
-            const imageNode = {
-              type: "image",
-              url: imageUrl,
-              alt: meta,
-              title: meta
-            };
-            parent.children[index] = imageNode;
-            console.log(`🖼️ PlantUML ${options.outputFormat.toUpperCase()} inlined as server URL: ${imageUrl}`);
+          let content;
+          if (descriptionOptions.source === "summary") {
+            content = diagramSummary(code);
+            if (content.length === 0) return null;
           } else {
-            // Generate filename from PlantUML code
-            const filename = plantumlToFilename(processedCode, options.outputFormat);
+            // PlantUML's own ASCII art rendering, cached like the images
+            const { filename } = await renderToFile(code, descriptionOptions.source, blockOptions, renderer, log, 0, {
+              ...filenameFields(),
+              page: 1
+            });
+            images.push(path.resolve(blockOptions.outputDir, filename));
+            content = await fs.readFile(path.resolve(blockOptions.outputDir, filename), "utf8");
+          }
+          return descriptionHtml(content, descriptionOptions, `${svgIdPrefix}description`);
+        } catch (error) {
+          warn(`Cannot describe PlantUML diagram: ${error.message}`, sourcePoint(), "description");
+          return null;
+        }
+      };
 
-            // Check cache first
-            const cachedFilename = await checkCache(options.outputDir, filename);
+      const processPromise = (async () => {
+        // The raw code is used for the server URL fallback if includes cannot be processed
+        let processedCode = fallbackCode;
 
-            if (!cachedFilename) {
-              // Fetch the image and save to file
-              const imageData = await fetchPlantUMLImage(processedCode, options);
-              await saveImageToFile(imageData, options.outputDir, filename);
-            }
+        try {
+          processedCode = await load(includeContext);
 
-            // Construct the URL as urlPrefix + filename, ensuring no double slashes
-            let url = options.urlPrefix.endsWith("/") ? options.urlPrefix : options.urlPrefix + "/";
-            url += filename;
-            url = url.replace(/\/\/+/, "/"); // Replace any double slashes with a single slash
+          // Without alt text on the code fence, the diagram's own title or caption is used
+          if (block.alt === null) block.alt = diagramTitle(processedCode);
 
-            const imageNode = {
-              type: "image",
-              url,
-              alt: meta,
-              title: meta
-            };
+          const description = descriptionOptions && (await describe(processedCode));
+          if (description && descriptionOptions.element === "describedby") {
+            block.properties["aria-describedby"] = `${svgIdPrefix}description`;
+          }
 
-            parent.children[index] = imageNode;
+          const rendered = await renderVariants(processedCode);
+          const pages = byPage(rendered);
+          let pageNodes;
+
+          if (svgMode) {
+            // Embed the SVG markup itself so it can be searched, styled and linked
+            pageNodes = await Promise.all(
+              pages.map(async ([{ filename }], page) => {
+                images.push(path.resolve(blockOptions.outputDir, filename));
+                const svg = await fs.readFile(path.resolve(blockOptions.outputDir, filename), "utf8");
+                const { alt, properties } = pageBlock(block, page, pages.length);
+                // Every page needs its own element IDs
+                const idPrefix = page === 0 ? svgIdPrefix : `${svgIdPrefix}page${page + 1}-`;
+                log(`🖼️ PlantUML SVG inlined as HTML: ${filename}`);
+                return { type: "html", value: inlineSvg(svg, { idPrefix, label: alt, properties }) };
+              })
+            );
+          } else {
+            // Server URLs for both SVG and PNG with inlineImage, data URLs with dataUri, local files otherwise.
+            // Embedded images keep their file as the cache.
+            for (const { filename } of rendered) {
+              if (filename) images.push(path.resolve(blockOptions.outputDir, filename));
+            }
 
-            // Debug: log the node structure
-            console.log("DEBUG - Created node:", JSON.stringify(imageNode, null, 2));
+            // The browser picks the theme, format and scale it supports best
+            pageNodes = pages.map((pageImages, page) =>
+              createDiagramNode(pageImages, pageBlock(block, page, pages.length))
+            );
+            const references = rendered.map(({ url, filename }) =>
+              url.startsWith("data:") ? `data URL of ${filename}` : url
+            );
+            log(`🖼️ PlantUML diagram referenced as ${references.join(", ")}`);
+          }
+
+          // The pages of a diagram split with newpage follow each other in place of the diagram
+          parent.children[index] = pageNodes.length === 1 ? pageNodes[0] : createPagesNode(pageNodes);
+
+          if (description) {
+            parent.children[index] = createDescribedNode(parent.children[index], description);
           }
         } catch (error) {
-          console.error(`Error processing PlantUML code: ${error.message}`);
-          // On error, insert an image node with the PlantUML image URL as src
-          const encoded = plantumlEncoder.encode(processedCode);
-          const imageUrl = `${options.baseUrl}/${options.outputFormat}/${encoded}`;
-          const imageNode = {
-            type: "image",
-            url: imageUrl,
-            alt: meta,
-            title: meta
-          };
-          parent.children[index] = imageNode;
+          if (block.alt === null && processedCode) block.alt = diagramTitle(processedCode);
+          const reason = `Cannot render PlantUML diagram: ${error.message}`;
+          // Include errors point at the directive, everything else at the code block
+          const place = sourcePoint(error.offset);
+
+          if (options.onError === "fail") {
+            // Throws a message positioned at the code block, which rejects the transform
+            if (file) file.fail(reason, { place, ruleId: "render", source: MESSAGE_SOURCE, cause: error });
+            throw error;
+          }
+
+          warn(reason, place, "render");
+
+          switch (options.onError) {
+            case "keep-code":
+              // The original code block stays in place
+              break;
+            case "placeholder":
+              parent.children[index] = createPlaceholderNode(error);
+              break;
+            default: {
+              // A diagram file that cannot be read has no code to send to the server
+              if (processedCode === null) break;
+              // Insert an image node with the PlantUML image URL as src
+              const imageUrl = plantumlServerUrl(processedCode, fallbackFormat, blockOptions);
+              parent.children[index] = createImageNode(imageUrl, block);
+            }
+          }
+        } finally {
+          if (dependencies.size > 0) {
+            graphDiagrams.push({
+              line: node.position && node.position.start.line,
+              dependencies: [...dependencies],
+              rerender
+            });
+          }
         }
-      });
+      })();
 
       promises.push(processPromise);
+    };
+
+    visit(syntaxTree, (node, index, parent) => {
+      if (node.type === "code") {
+        const { lang, value, meta } = node;
+        if (!lang || !value || !languages.includes(lang.toLowerCase())) return;
+
+        // Preamble and postamble are added before includes are processed, so they can include files too
+        const wrapped = addAmbles(value, ambles);
+        renderDiagram(node, index, parent, {
+          value,
+          // Attributes on the code fence override the plugin options for this block
+          block: blockSettings(options, meta),
+          load: context => processIncludes(wrapped.code, documentDir, context),
+          sourcePoint: offset =>
+            codePoint(node, value, offset === undefined ? undefined : wrapped.originalOffset(offset)),
+          fallbackCode: value
+        });
+        return;
+      }
+
+      // An image alone in its paragraph replaces the whole paragraph, like a code block
+      const lone = node.type === "paragraph" && node.children.length === 1 ? node.children[0] : node;
+      const reference = diagramReference(lone, options, cwd);
+      if (!reference) return;
+
+      renderDiagram(node, index, parent, {
+        value: reference.url,
+        block: reference.block,
+        // Includes in the file are relative to the file, not to the document
+        load: async context => {
+          const { fullPath, code } = await readDiagramFile(reference.file, documentDir, context);
+          return processIncludes(addAmbles(code, ambles).code, path.dirname(fullPath), context);
+        },
+        sourcePoint: () => node.position,
+        fallbackCode: null
+      });
+      return visit.SKIP;
     });
 
     // Wait for all async operations to complete
@@ -259,8 +705,43 @@ function remarkSimplePlantumlPlugin(pluginOptions) {
       await Promise.all(promises);
     }
 
+    if (options.dependencyGraph && file && file.path) {
+      // Diagrams finish in any order; the graph lists them in document order
+      graphDiagrams.sort((a, b) => a.line - b.line);
+      options.dependencyGraph.setDocument(path.resolve(cwd, file.path), graphDiagrams);
+    }
+
+    if (figureOptions) {
+      for (const { parent, index, figure } of figureBlocks) {
+        // A code block kept after an error cannot be part of a paragraph
+        if (parent.children[index].type === "code") continue;
+        parent.children[index] = createFigureNode(parent.children[index], figure);
+      }
+
+      for (const { node, key } of resolveCrossReferences(syntaxTree, figures)) {
+        warn(`Unknown figure reference: [@fig:${key}]`, node.position, "figure-reference");
+      }
+    }
+
+    if (manifestFile && file) {
+      await recordDocument(manifestFile, file, images);
+    }
+
     return syntaxTree;
   };
 }
 
 module.exports = remarkSimplePlantumlPlugin;
+module.exports.prune = prune;
+module.exports.DependencyGraph = DependencyGraph;
+// The same diagrams in HTML: `<pre><code class="language-plantuml">` elements of a hast tree
+module.exports.rehype = require("./lib/rehype");
+
+/**
+ * Watches the included files recorded in a dependency graph and renders the
+ * diagrams depending on a changed file again
+ * @param {DependencyGraph} graph - Graph passed as the `dependencyGraph` option
+ * @param {Object} [watchOptions] - Options passed to chokidar
+ * @returns {DiagramWatcher} - Emits `change` with the documents to process again
+ */
+module.exports.watch = (graph, watchOptions) => new DiagramWatcher(graph, watchOptions);
@@ -0,0 +1,268 @@
+const fs = require("fs-extra");
+const path = require("path");
+const picomatch = require("picomatch");
+const plugin = require("../index");
+
+const USAGE = `Usage: remark-plantuml-local [options] [patterns...]
+
+Renders the PlantUML code blocks of markdown files into the output directory.
+Patterns are globs, files or directories (default: "**/*.md").
+
+Options:
+  -c, --config <file>  Plugin options as JSON or a JavaScript module
+                       (default: plantuml.config.js or plantuml.config.json, if present)
+  --check              Exit with code 1 if a diagram or include cannot be rendered
+  --prune              Delete images that no markdown file references any more
+  --dry-run            With --prune, list the images instead of deleting them
+  -h, --help           Show this help
+`;
+
+const DEFAULT_CONFIG_FILES = ["plantuml.config.js", "plantuml.config.json"];
+
+// Problems that fail --check; unknown figure references only produce warnings
+const CHECKED_RULES = ["render", "include"];
+
+// Directories that are never searched for documents
+const IGNORED_DIRECTORIES = ["node_modules"];
+
+const MARKDOWN_EXTENSIONS = ["md", "markdown"];
+
+/**
+ * Lists the files below a directory, skipping `node_modules` and hidden directories
+ * @param {string} dir - Absolute directory
+ * @returns {Promise<string[]>} - Absolute file paths
+ */
+async function walk(dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.includes(entry.name) && !entry.name.startsWith(".")) {
+        files.push(...(await walk(entryPath)));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Finds the files matching glob patterns. A pattern naming a directory finds
+ * the markdown files in it.
+ * @param {string[]} patterns - Glob patterns, files or directories, relative to `cwd` or absolute
+ * @param {string} [cwd] - Working directory
+ * @returns {Promise<string[]>} - Matching paths relative to `cwd`, sorted and without duplicates
+ */
+async function findFiles(patterns, cwd = process.cwd()) {
+  const found = new Set();
+  const toSlashes = file => file.split(path.sep).join("/");
+
+  for (const rawPattern of patterns) {
+    let pattern = toSlashes(rawPattern);
+    const { base, isGlob } = picomatch.scan(pattern);
+
+    if (!isGlob) {
+      // A plain path: a file, or a directory searched for markdown
+      const stat = await fs.stat(path.resolve(cwd, pattern)).catch(() => null);
+      if (stat && stat.isFile()) {
+        found.add(path.relative(cwd, path.resolve(cwd, pattern)));
+        continue;
+      }
+      if (!stat) continue;
+      pattern = `${pattern.replace(/\/$/, "")}/**/*.{${MARKDOWN_EXTENSIONS.join(",")}}`;
+    }
+
+    // Absolute patterns are matched against absolute paths, others against paths relative to cwd
+    const absolute = path.isAbsolute(rawPattern);
+    const isMatch = picomatch(pattern, { strictBrackets: true });
+    for (const file of await walk(path.resolve(cwd, base || "."))) {
+      if (isMatch(toSlashes(absolute ? file : path.relative(cwd, file)))) found.add(path.relative(cwd, file));
+    }
+  }
+
+  return [...found].sort();
+}
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script
+ * @returns {Object} - `patterns`, `config`, `check`, `prune`, `dryRun` and `help`
+ */
+function parseArgs(argv) {
+  const args = { patterns: [], config: null, check: false, prune: false, dryRun: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-c" || arg === "--config") {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a file`);
+      args.config = argv[++i];
+    } else if (arg.startsWith("--config=")) {
+      args.config = arg.slice("--config=".length);
+    } else if (arg === "--check") {
+      args.check = true;
+    } else if (arg === "--prune") {
+      args.prune = true;
+    } else if (arg === "--dry-run") {
+      args.dryRun = true;
+    } else if (arg === "-h" || arg === "--help") {
+      args.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.patterns.push(arg);
+    }
+  }
+
+  if (args.dryRun && !args.prune) throw new Error("--dry-run only works with --prune");
+  return args;
+}
+
+/**
+ * Loads the plugin options from a config file
+ * @param {string|null} configFile - Config file from the command line, or null to look for a default one
+ * @param {string} cwd - Working directory
+ * @returns {Promise<Object>} - Plugin options
+ */
+async function loadConfig(configFile, cwd) {
+  let configPath = configFile && path.resolve(cwd, configFile);
+  if (!configPath) {
+    for (const name of DEFAULT_CONFIG_FILES) {
+      if (await fs.pathExists(path.resolve(cwd, name))) {
+        configPath = path.resolve(cwd, name);
+        break;
+      }
+    }
+    if (!configPath) return {};
+  }
+
+  try {
+    return path.extname(configPath) === ".json" ? await fs.readJson(configPath) : require(configPath);
+  } catch (error) {
+    throw new Error(`Cannot load config ${path.relative(cwd, configPath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Formats a vfile message like a lint result: `file:line:column  severity  reason  rule`
+ * @param {Object} message - vfile message
+ * @param {string} filePath - Path of the markdown file
+ * @returns {string} - One line
+ */
+function formatMessage(message, filePath) {
+  const place = message.line ? `${filePath}:${message.line}:${message.column || 1}` : filePath;
+  const severity = message.fatal ? "error" : "warning";
+  return `${place}  ${severity}  ${message.reason}${message.ruleId ? `  ${message.ruleId}` : ""}`;
+}
+
+/**
+ * Runs the command line tool
+ * @param {string[]} argv - Arguments without the node executable and script
+ * @param {Object} [io] - `cwd`, `stdout` and `stderr` streams, the process ones by default
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 for failed checks or a failed prune, 2 for usage errors
+ */
+async function run(argv, io = {}) {
+  const { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = io;
+
+  let args;
+  let config;
+  let files;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    config = await loadConfig(args.config, cwd);
+    files = await findFiles(args.patterns.length > 0 ? args.patterns : ["**/*.md"], cwd);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (files.length === 0) {
+    stderr.write("No markdown files found\n");
+    return args.check ? 1 : 0;
+  }
+
+  // Relative paths in the config are relative to the working directory
+  const options = {
+    ...config,
+    outputDir: path.resolve(cwd, config.outputDir || "./static"),
+    // Failures are reported as messages, so every file is checked
+    onError: "keep-code",
+    // Pruning needs to know the images of every document
+    manifest: args.prune && !config.manifest ? true : config.manifest
+  };
+  if (typeof options.manifest === "string") options.manifest = path.resolve(cwd, options.manifest);
+
+  const [{ unified }, { default: remarkParse }, { VFile }] = await Promise.all([
+    import("unified"),
+    import("remark-parse"),
+    import("vfile")
+  ]);
+  const processor = unified()
+    .use(remarkParse)
+    .use(plugin, options);
+
+  const results = await Promise.all(
+    files.map(async filePath => {
+      const file = new VFile({ path: filePath, cwd, value: await fs.readFile(path.resolve(cwd, filePath), "utf8") });
+      try {
+        await processor.run(processor.parse(file), file);
+      } catch (error) {
+        if (!file.messages.includes(error)) file.message(error.message, { ruleId: "render" }).fatal = true;
+      }
+      return file;
+    })
+  );
+
+  let problems = 0;
+  for (const file of results) {
+    for (const message of file.messages) {
+      stderr.write(`${formatMessage(message, file.path)}\n`);
+      if (message.fatal || CHECKED_RULES.includes(message.ruleId)) problems++;
+    }
+  }
+  stdout.write(`Processed ${results.length} markdown file${results.length === 1 ? "" : "s"}\n`);
+
+  if (args.prune) {
+    const manifest = typeof options.manifest === "string" ? options.manifest : undefined;
+    let report;
+    try {
+      report = await plugin.prune({
+        outputDir: options.outputDir,
+        manifest,
+        filename: options.filename,
+        cwd,
+        dryRun: args.dryRun
+      });
+    } catch (error) {
+      stderr.write(`Cannot prune: ${error.message}\n`);
+      return 1;
+    }
+    for (const image of report.removed) {
+      stdout.write(`${args.dryRun ? "Would remove" : "Removed"} ${path.relative(cwd, image)}\n`);
+    }
+    stdout.write(`${report.removed.length} unreferenced image${report.removed.length === 1 ? "" : "s"}\n`);
+  }
+
+  if (args.check && problems > 0) {
+    stderr.write(`${problems} problem${problems === 1 ? "" : "s"} found\n`);
+    return 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  findFiles,
+  parseArgs,
+  run
+};
@@ -0,0 +1,177 @@
+const { escapeAttribute, escapeHtml } = require("./html");
+
+const DEFAULT_DESCRIPTION_OPTIONS = {
+  source: "summary", // "summary", or the "txt" or "utxt" ASCII art rendered by PlantUML
+  element: "details", // "details" for a visible <details>, "describedby" for a hidden element
+  label: "Diagram description" // Text of the <summary>
+};
+
+const DESCRIPTION_SOURCES = ["summary", "txt", "utxt"];
+const DESCRIPTION_ELEMENTS = ["details", "describedby"];
+
+// Sequence diagram participants
+const PARTICIPANT_REGEX = /^\s*(?:participant|actor|boundary|control|entity|database|collections|queue)\s+(.+)$/i;
+// Class diagram elements
+const CLASS_REGEX = /^\s*(?:abstract\s+class|abstract|class|interface|enum|annotation|struct|record|exception)\s+(.+)$/i;
+// `A -> B : label`, `A "1" *-- "many" B`, `[*] --> State` and similar
+const RELATION_REGEX = /^\s*("[^"]+"|\[\*\]|[\w$]+(?:\.[\w$]+)*)\s*(?:"[^"]*"\s*)?([<*o+#x}|\\/]*[-.]+(?:\[[^\]]*\])?(?:(?:left|right|up|down|l|r|u|d)[-.]+)?[-.]*[>*o+#x{|\\/]*)\s*(?:"[^"]*"\s*)?("[^"]+"|\[\*\]|[\w$]+(?:\.[\w$]+)*)\s*(?::\s*(.*?))?\s*$/;
+
+/**
+ * Resolves the `description` option
+ * @param {boolean|string|Object} description - `true`, a source, or an object overriding the defaults
+ * @returns {Object|null} - Description settings, or null when descriptions are disabled
+ */
+function descriptionSettings(description) {
+  if (!description) return null;
+
+  const settings = {
+    ...DEFAULT_DESCRIPTION_OPTIONS,
+    ...(typeof description === "string" ? { source: description } : {}),
+    ...(typeof description === "object" ? description : {})
+  };
+  if (!DESCRIPTION_SOURCES.includes(settings.source)) {
+    throw new Error(`Unknown description source: ${settings.source}`);
+  }
+  if (!DESCRIPTION_ELEMENTS.includes(settings.element)) {
+    throw new Error(`Unknown description element: ${settings.element}`);
+  }
+  return settings;
+}
+
+/**
+ * Removes Creole and HTML markup from a line of diagram text
+ * @param {string} text - Diagram text
+ * @returns {string} - Plain text
+ */
+function plainText(text) {
+  return text
+    .replace(/\\n/g, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\*\*|__|~~|""/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Finds the title of a diagram: its `title` directive, or its `caption`
+ * @param {string} plantumlCode - The PlantUML code
+ * @returns {string|null} - Plain text title, or null if the diagram has none
+ */
+function diagramTitle(plantumlCode) {
+  const multiline = plantumlCode.match(/^\s*title\s*$([\s\S]*?)^\s*end\s*title\s*$/im);
+  const line = plantumlCode.match(/^\s*title\s+(.+)$/im) || plantumlCode.match(/^\s*caption\s+(.+)$/im);
+  const title = multiline ? multiline[1] : line && line[1];
+  return (title && plainText(title)) || null;
+}
+
+/**
+ * Reads the name an element is shown with from the rest of its declaration,
+ * e.g. `"Long Name" as L`, `L as "Long Name"` or `Alice #red`
+ * @param {string} declaration - Declaration after the keyword
+ * @returns {{name: string, alias: string|null}} - Shown name and alias used in relations
+ */
+function declaredName(declaration) {
+  const aliased = declaration.match(/^(?:"([^"]+)"|(\S+))\s+as\s+(?:"([^"]+)"|([\w$.]+))/i);
+  if (aliased) {
+    // The quoted side is the name, otherwise the alias comes second
+    return aliased[3] && !aliased[1]
+      ? { name: aliased[3], alias: aliased[2] }
+      : { name: aliased[1] || aliased[2], alias: aliased[4] || aliased[3] };
+  }
+
+  const quoted = declaration.match(/^"([^"]+)"/);
+  const name = quoted ? quoted[1] : declaration.split(/\s/)[0].replace(/[{<].*$/, "");
+  return { name, alias: null };
+}
+
+/**
+ * Summarizes a diagram in plain sentences: its participants, its classes and
+ * the relations between elements
+ * @param {string} plantumlCode - The PlantUML code
+ * @returns {string[]} - Sentences, empty if nothing was recognized
+ */
+function diagramSummary(plantumlCode) {
+  const participants = [];
+  const classes = [];
+  const relations = [];
+  const names = new Map();
+  const nameOf = element => {
+    const unquoted = element.replace(/^"(.*)"$/, "$1");
+    return names.get(unquoted) || unquoted;
+  };
+
+  for (const line of plantumlCode.split("\n")) {
+    const declaration = line.match(PARTICIPANT_REGEX) || line.match(CLASS_REGEX);
+    if (declaration) {
+      const { name, alias } = declaredName(declaration[1].trim());
+      if (alias) names.set(alias, name);
+      (PARTICIPANT_REGEX.test(line) ? participants : classes).push(plainText(name));
+      continue;
+    }
+
+    const relation = line.match(RELATION_REGEX);
+    if (!relation) continue;
+
+    const [, from, arrow, to, label] = relation;
+    const pointsLeft = arrow.startsWith("<");
+    const pointsRight = arrow.endsWith(">");
+    // The initial and final pseudo states of state diagrams
+    const start = from === "[*]" ? "start" : nameOf(from);
+    const end = to === "[*]" ? "end" : nameOf(to);
+
+    let sentence;
+    if (pointsRight && !pointsLeft) sentence = `${start} to ${end}`;
+    else if (pointsLeft && !pointsRight) sentence = `${end} to ${start}`;
+    else sentence = `${start} and ${end}`;
+    relations.push(label ? `${sentence}: ${plainText(label)}` : sentence);
+  }
+
+  const sentences = [];
+  if (participants.length > 0) sentences.push(`Participants: ${participants.join(", ")}`);
+  if (classes.length > 0) sentences.push(`Classes: ${classes.join(", ")}`);
+  return sentences.concat(relations);
+}
+
+/**
+ * Creates the HTML of a long description
+ * @param {string|string[]} content - ASCII art, or the sentences of a summary
+ * @param {Object} settings - Description settings
+ * @param {string} id - Element id referenced by `aria-describedby`
+ * @returns {string} - `<details>` or hidden `<div>` markup
+ */
+function descriptionHtml(content, settings, id) {
+  const body = Array.isArray(content)
+    ? `<ul>${content.map(sentence => `<li>${escapeHtml(sentence)}</li>`).join("")}</ul>`
+    : `<pre>${escapeHtml(content.replace(/\s+$/, ""))}</pre>`;
+
+  if (settings.element === "describedby") {
+    return `<div id="${escapeAttribute(id)}" class="plantuml-description" hidden>${body}</div>`;
+  }
+  return `<details class="plantuml-description"><summary>${escapeHtml(settings.label)}</summary>${body}</details>`;
+}
+
+/**
+ * Puts a diagram and its long description side by side in a `<div>`.
+ *
+ * The container is a paragraph for mdast, like figures, and `hName` turns it
+ * into a div for HTML.
+ *
+ * @param {Object} content - Image or html node of the diagram
+ * @param {string} html - Markup from `descriptionHtml`
+ * @returns {Object} - mdast node
+ */
+function createDescribedNode(content, html) {
+  return {
+    type: "paragraph",
+    data: { hName: "div", hProperties: { className: ["plantuml-diagram"] } },
+    children: [content, { type: "html", value: html }]
+  };
+}
+
+module.exports = {
+  createDescribedNode,
+  descriptionHtml,
+  descriptionSettings,
+  diagramSummary,
+  diagramTitle
+};
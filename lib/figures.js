@@ -0,0 +1,115 @@
+const visit = require("unist-util-visit");
+
+const DEFAULT_FIGURE_OPTIONS = {
+  label: "Figure", // Text in front of the figure number
+  idPrefix: "fig-" // Prefix of the figure anchor id
+};
+
+/**
+ * Resolves the `figures` option
+ * @param {boolean|Object} figures - `true` or an object overriding the defaults
+ * @returns {Object|null} - Figure settings, or null when figures are disabled
+ */
+function figureSettings(figures) {
+  if (!figures) return null;
+  return { ...DEFAULT_FIGURE_OPTIONS, ...(typeof figures === "object" ? figures : {}) };
+}
+
+/**
+ * Numbers a diagram as the next figure of the document
+ * @param {Object[]} figures - Figures of the document so far
+ * @param {Object} block - Block settings from the code fence meta string
+ * @param {Object} settings - Figure settings
+ * @returns {Object} - Figure with number, anchor id and caption
+ */
+function addFigure(figures, block, settings) {
+  const number = figures.length + 1;
+  const key = block.properties.id || String(number);
+  const label = `${settings.label} ${number}`;
+  const figure = {
+    number,
+    key,
+    id: `${settings.idPrefix}${key}`,
+    label,
+    caption: block.title ? `${label}: ${block.title}` : label
+  };
+
+  figures.push(figure);
+  return figure;
+}
+
+/**
+ * Wraps a diagram node in a `<figure>` with a numbered `<figcaption>`.
+ *
+ * The figure is a paragraph for mdast, so markdown output shows the caption
+ * in emphasis below the image, and `hName` turns it into a figure for HTML.
+ *
+ * @param {Object} content - Image or html node of the diagram
+ * @param {Object} figure - Figure created by `addFigure`
+ * @returns {Object} - mdast node
+ */
+function createFigureNode(content, figure) {
+  return {
+    type: "paragraph",
+    data: { hName: "figure", hProperties: { id: figure.id } },
+    children: [
+      content,
+      { type: "text", value: "\n" },
+      {
+        type: "emphasis",
+        data: { hName: "figcaption" },
+        children: [{ type: "text", value: figure.caption }]
+      }
+    ]
+  };
+}
+
+/**
+ * Replaces `[@fig:key]` in text with links to the numbered figure
+ * @param {Object} syntaxTree - mdast tree
+ * @param {Object[]} figures - Figures of the document
+ * @returns {Object[]} - Text nodes with references that did not match a figure, with the missing key
+ */
+function resolveCrossReferences(syntaxTree, figures) {
+  const byKey = new Map(figures.map(figure => [figure.key, figure]));
+  const unresolved = [];
+  const referenceRegex = /\[@fig:([^\]\s]+)\]/g;
+
+  visit(syntaxTree, "text", (node, index, parent) => {
+    const nodes = [];
+    let lastIndex = 0;
+    let match;
+
+    referenceRegex.lastIndex = 0;
+    while ((match = referenceRegex.exec(node.value)) !== null) {
+      const figure = byKey.get(match[1]);
+      if (!figure) {
+        unresolved.push({ node, key: match[1] });
+        continue;
+      }
+
+      if (match.index > lastIndex) {
+        nodes.push({ type: "text", value: node.value.slice(lastIndex, match.index) });
+      }
+      nodes.push({ type: "link", url: `#${figure.id}`, children: [{ type: "text", value: figure.label }] });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (nodes.length === 0) return;
+
+    if (lastIndex < node.value.length) {
+      nodes.push({ type: "text", value: node.value.slice(lastIndex) });
+    }
+    parent.children.splice(index, 1, ...nodes);
+    return index + nodes.length;
+  });
+
+  return unresolved;
+}
+
+module.exports = {
+  addFigure,
+  createFigureNode,
+  figureSettings,
+  resolveCrossReferences
+};
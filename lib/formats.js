@@ -0,0 +1,94 @@
+const { insertPreamble } = require("./preamble");
+
+const MIME_TYPES = {
+  svg: "image/svg+xml",
+  png: "image/png"
+};
+
+// Vector images are sharp at any size, so only these are rendered at several scales
+const RASTER_FORMATS = ["png"];
+
+/**
+ * Turns a list option into an array; attributes on the code fence give comma-separated strings
+ * @param {string|Array|null} value - Option value
+ * @returns {Array|null} - Values, or null if there are none
+ */
+function toList(value) {
+  const list = typeof value === "string" ? value.split(",").map(item => item.trim()) : value;
+  return Array.isArray(list) && list.length > 0 ? list.filter(item => item !== "") : null;
+}
+
+/**
+ * Resolves the `outputFormats` and `scales` options into the images rendered
+ * for every diagram. Formats come in order of preference, the last one is the
+ * fallback for browsers and exporters that support nothing better; raster
+ * formats are rendered once per scale.
+ * @param {Object} options - Plugin or block options
+ * @returns {{format: string, scale: number}[]} - Images in order of preference
+ */
+function formatVariants(options) {
+  const formats = toList(options.outputFormats) || [options.outputFormat];
+  const scales = toList(options.scales) || [1];
+
+  const invalid = scales.find(scale => !(Number(scale) > 0));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid scale: ${invalid}`);
+  }
+
+  return formats.flatMap(format =>
+    (RASTER_FORMATS.includes(format) ? scales.map(Number) : [1]).map(scale => ({ format, scale }))
+  );
+}
+
+/**
+ * Adds a `scale` directive to a diagram, unless it is rendered at its natural size
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {number} scale - Scale factor
+ * @returns {string} - PlantUML code rendering at that scale
+ */
+function scaleDiagram(plantumlCode, scale) {
+  return scale === 1 ? plantumlCode : insertPreamble(plantumlCode, `scale ${scale}`);
+}
+
+/**
+ * Builds a `srcset` attribute with a pixel density descriptor for each scale
+ * @param {Object[]} images - `{ url, scale }` of the images
+ * @returns {string} - srcset value; a single image is just its URL
+ */
+function srcset(images) {
+  if (images.length === 1) return images[0].url;
+  return images.map(({ url, scale }) => `${url} ${scale}x`).join(", ");
+}
+
+/**
+ * Returns the media type of an image format, used as the `type` of a `<source>`
+ * @param {string} format - Image format
+ * @returns {string} - Media type
+ */
+function mimeType(format) {
+  return MIME_TYPES[format] || `image/${format}`;
+}
+
+/**
+ * Encodes an image as a `data:` URL. SVG markup stays readable and only the
+ * characters URLs and srcset lists cannot hold are escaped; other formats are
+ * base64 encoded.
+ * @param {Buffer} imageData - Image data
+ * @param {string} format - Image format
+ * @returns {string} - Data URL
+ */
+function dataUrl(imageData, format) {
+  if (format === "svg") {
+    const svg = imageData.toString("utf8").replace(/[\s%#()<>?[\\\]^`{|}"]/g, encodeURIComponent);
+    return `data:${mimeType(format)},${svg}`;
+  }
+  return `data:${mimeType(format)};base64,${imageData.toString("base64")}`;
+}
+
+module.exports = {
+  dataUrl,
+  formatVariants,
+  mimeType,
+  scaleDiagram,
+  srcset
+};
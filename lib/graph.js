@@ -0,0 +1,84 @@
+const EventEmitter = require("events");
+const path = require("path");
+
+/**
+ * Records which diagrams of which documents depend on which included files.
+ *
+ * The plugin replaces the entry of a document each time it is processed, so
+ * the graph follows documents as they change. Each diagram keeps a
+ * `rerender()` function that expands its includes and renders it again
+ * with the settings it was processed with, resolving to
+ * `{ output, error, dependencies }`.
+ *
+ * Emits `update` whenever the dependencies change.
+ */
+class DependencyGraph extends EventEmitter {
+  constructor() {
+    super();
+    this.documents = new Map();
+  }
+
+  /**
+   * Replaces the diagrams recorded for a document
+   * @param {string} document - Absolute path of the markdown document
+   * @param {Object[]} diagrams - `{ line, dependencies, rerender }` for each diagram with includes
+   */
+  setDocument(document, diagrams) {
+    this.documents.set(
+      document,
+      diagrams.map(diagram => ({ ...diagram, document }))
+    );
+    this.emit("update");
+  }
+
+  /**
+   * Forgets a document, e.g. after it was deleted
+   * @param {string} document - Absolute path of the markdown document
+   */
+  removeDocument(document) {
+    if (this.documents.delete(document)) this.emit("update");
+  }
+
+  /**
+   * Replaces the dependencies of a diagram after it was rendered again
+   * @param {Object} diagram - Diagram returned by `dependents`
+   * @param {string[]} dependencies - Files and directories the diagram now depends on
+   */
+  updateDiagram(diagram, dependencies) {
+    diagram.dependencies = dependencies;
+    this.emit("update");
+  }
+
+  /**
+   * @returns {Set<string>} - Every file and directory some diagram depends on
+   */
+  files() {
+    const files = new Set();
+    for (const diagrams of this.documents.values()) {
+      diagrams.forEach(diagram => diagram.dependencies.forEach(file => files.add(file)));
+    }
+    return files;
+  }
+
+  /**
+   * Finds the diagrams affected by a change to a file: diagrams including
+   * it, and diagrams including the directory it is in with `!includedir`
+   * @param {string} file - Absolute path of the changed file
+   * @returns {Object[]} - Affected diagrams with their `document`
+   */
+  dependents(file) {
+    const affected = [];
+    for (const diagrams of this.documents.values()) {
+      for (const diagram of diagrams) {
+        if (diagram.dependencies.includes(file) || diagram.dependencies.includes(path.dirname(file))) {
+          affected.push(diagram);
+        }
+      }
+    }
+    return affected;
+  }
+}
+
+module.exports = {
+  DependencyGraph
+};
@@ -0,0 +1,25 @@
+/**
+ * Escapes text for use in HTML content
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escapes a string for use in an HTML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, "&quot;");
+}
+
+module.exports = {
+  escapeAttribute,
+  escapeHtml
+};
@@ -0,0 +1,507 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Files that can be included; anything else is reported and left alone
+const INCLUDE_EXTENSIONS = [".puml", ".iuml", ".pu", ".plantuml", ".txt"];
+
+const DIRECTIVE_REGEX = /^(\s*)!(include|include_many|include_once|includesub|includedir)\s+(.+?)\s*$/;
+const INCLUDE_FILE_REGEX = /::include\{file=([^}]+)\}/g;
+// Any diagram type: @startuml, @startmindmap, @startgantt, @startjson, ...
+const START_REGEX = /^\s*@start[a-z]+(?:\((?:id=)?([^)]*)\))?\s*$/i;
+const END_REGEX = /^\s*@end[a-z]+\s*$/i;
+const STARTSUB_REGEX = /^\s*!startsub\s+(\S+)\s*$/;
+const ENDSUB_REGEX = /^\s*!endsub\s*$/;
+
+/**
+ * Error in an include directive that makes the diagram unusable,
+ * such as an include cycle
+ */
+class IncludeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [offset] - Position of the directive in the diagram code
+   */
+  constructor(message, offset) {
+    super(message);
+    this.name = "IncludeError";
+    this.offset = offset;
+  }
+}
+
+/**
+ * Whether an include target is resolved by PlantUML itself: the standard
+ * library (`<C4/C4_Container>`) and web URLs
+ * @param {string} target - Include target
+ * @returns {boolean} - Whether the directive is left for PlantUML
+ */
+function isExternalTarget(target) {
+  return target.startsWith("<") || /^https?:\/\//i.test(target);
+}
+
+/**
+ * Whether an include target is a URL of another scheme, such as `file:`
+ * @param {string} target - Include target
+ * @returns {boolean} - Whether the target has a URL scheme
+ */
+function hasScheme(target) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(target) && !path.isAbsolute(target);
+}
+
+/**
+ * Whether a path is a root directory or inside it
+ * @param {string} file - Absolute path
+ * @param {string} root - Absolute directory
+ * @returns {boolean} - Whether the path does not leave the root
+ */
+function isInside(file, root) {
+  const relative = path.relative(root, file);
+  return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== "..";
+}
+
+/**
+ * Returns the real path of an existing file, following symlinks,
+ * or the path itself if it does not exist
+ * @param {string} file - Absolute path
+ * @returns {Promise<string>} - Real path
+ */
+async function realPath(file) {
+  try {
+    return await fs.realpath(file);
+  } catch (error) {
+    return file;
+  }
+}
+
+/**
+ * Whether a path is inside one of the allowed include roots
+ * @param {string} file - Absolute path
+ * @param {Object} state - Allowed roots, or null when includes are not sandboxed
+ * @returns {boolean} - Whether the path can be included
+ */
+function isAllowed(file, state) {
+  return !state.roots || state.roots.some(root => isInside(file, root));
+}
+
+/**
+ * Refuses an include whose real path, after following symlinks, is outside
+ * the allowed roots, so a link inside a root cannot point out of it
+ * @param {string} fullPath - Absolute path of the included file or directory
+ * @param {string} target - Directive argument, for messages
+ * @param {Object} state - Allowed roots, or null when includes are not sandboxed
+ */
+async function checkRealPath(fullPath, target, state) {
+  if (!isAllowed(await realPath(fullPath), state)) {
+    throw new IncludeError(`Include outside the allowed include roots: ${target}`);
+  }
+}
+
+/**
+ * Splits `file.puml!2` or `file.puml!ID` into the file and the selector
+ * @param {string} target - Include target
+ * @returns {{file: string, selector: string|null}} - File path and selector
+ */
+function splitTarget(target) {
+  const match = /^(.*?)!([^!/\\]+)$/.exec(target);
+  return match ? { file: match[1], selector: match[2] } : { file: target, selector: null };
+}
+
+/**
+ * Splits file content into the diagrams between @startXXX and @endXXX
+ * @param {string} content - File content
+ * @returns {{id: string|null, lines: string[]}[]} - Diagrams, or the whole file if it has no @startXXX
+ */
+function splitDiagrams(content) {
+  const lines = content.split(/\r?\n/);
+  const diagrams = [];
+  let current = null;
+
+  for (const line of lines) {
+    const start = START_REGEX.exec(line);
+    if (start) {
+      current = { id: start[1] || null, lines: [] };
+      diagrams.push(current);
+    } else if (END_REGEX.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return diagrams.length > 0 ? diagrams : [{ id: null, lines }];
+}
+
+/**
+ * Lists the places an include target can refer to that are inside the
+ * allowed roots. A target starting with an alias (`@styles/theme.puml`) is
+ * looked up in the directory of the alias, an absolute path is used as is and
+ * a relative path is looked up in the directory of the including file first,
+ * then in each search path.
+ * @param {string} file - Path from the directive
+ * @param {string} basePath - Directory of the including file
+ * @param {Object} context - `searchPaths` and `aliases`
+ * @param {Object} state - Allowed roots, or null when includes are not sandboxed
+ * @returns {string[]} - Absolute paths in order of precedence
+ */
+function allowedCandidates(file, basePath, context, state) {
+  // The longest alias wins, so "@styles/dark" can be more specific than "@styles"
+  const alias = Object.keys(context.aliases)
+    .sort((a, b) => b.length - a.length)
+    .find(name => file === name || file.startsWith(`${name}/`));
+
+  let candidates;
+  if (alias) {
+    candidates = [path.resolve(context.aliases[alias], `.${file.slice(alias.length)}`)];
+  } else if (path.isAbsolute(file)) {
+    candidates = [file];
+  } else {
+    const directories = [...new Set([basePath, ...context.searchPaths].map(dir => path.resolve(dir)))];
+    candidates = directories.map(directory => path.resolve(directory, file));
+  }
+
+  const allowed = candidates.filter(candidate => isAllowed(candidate, state));
+  if (allowed.length === 0) {
+    throw new IncludeError(`Include outside the allowed include roots: ${file}`);
+  }
+  return allowed;
+}
+
+/**
+ * Refuses an include target leaving the allowed roots before anything else
+ * is decided about it, since a directive the plugin keeps is resolved by the
+ * renderer, which knows nothing about the roots
+ * @param {string} file - Path from the directive
+ * @param {string} target - Directive argument, for messages
+ * @param {string} basePath - Directory of the including file
+ * @param {Object} context - `searchPaths` and `aliases`
+ * @param {Object} state - Allowed roots
+ * @returns {Promise<void>}
+ */
+async function checkRoots(file, target, basePath, context, state) {
+  for (const candidate of allowedCandidates(file, basePath, context, state)) {
+    if (await fs.pathExists(candidate)) {
+      await checkRealPath(candidate, target, state);
+      return;
+    }
+  }
+}
+
+/**
+ * Finds the file or directory an include refers to: the first of
+ * `allowedCandidates` that exists.
+ *
+ * When includes are sandboxed, places outside the allowed roots are never
+ * looked at, so a refused include does not reveal whether the file exists.
+ * @param {string} file - Path from the directive
+ * @param {string} basePath - Directory of the including file
+ * @param {Object} context - `searchPaths`, `aliases` and `dependencies`
+ * @param {Object} state - Allowed roots, or null when includes are not sandboxed
+ * @returns {Promise<string>} - Absolute path of the first match
+ */
+async function resolveInclude(file, basePath, context, state) {
+  const allowed = allowedCandidates(file, basePath, context, state);
+
+  for (const candidate of allowed) {
+    if (await fs.pathExists(candidate)) return candidate;
+  }
+  // Creating any of the missing files changes the diagram
+  allowed.forEach(candidate => context.dependencies.add(candidate));
+  throw new Error(`not found, looked for ${allowed.join(", ")}`);
+}
+
+/**
+ * Selects the lines of an included file:
+ * the first diagram, the Nth diagram (`!2`), the diagram with an id (`!ID`)
+ * or, for `!includesub`, the `!startsub NAME` ... `!endsub` sections
+ * @param {string} content - File content
+ * @param {string|null} selector - Diagram index, diagram id or sub name
+ * @param {boolean} sub - Whether the selector names a sub section
+ * @returns {string[]|null} - Selected lines, or null if nothing matched
+ */
+function selectLines(content, selector, sub) {
+  if (sub) {
+    const lines = [];
+    let depth = 0;
+    for (const line of content.split(/\r?\n/)) {
+      const start = STARTSUB_REGEX.exec(line);
+      if (start && (depth > 0 || start[1] === selector)) {
+        depth++;
+      } else if (ENDSUB_REGEX.test(line) && depth > 0) {
+        depth--;
+      } else if (depth > 0) {
+        lines.push(line);
+      }
+    }
+    return lines.length > 0 ? lines : null;
+  }
+
+  const diagrams = splitDiagrams(content);
+  if (selector === null) return diagrams[0].lines;
+
+  const diagram = /^\d+$/.test(selector) ? diagrams[Number(selector)] : diagrams.find(d => d.id === selector);
+  return diagram ? diagram.lines : null;
+}
+
+/**
+ * Processes include directives in PlantUML code, following the PlantUML
+ * preprocessor:
+ *
+ * - `!include file.puml` includes the first diagram of a file, once
+ * - `!include file.puml!2` and `!include file.puml!ID` pick a diagram by index or `@startXXX(id=ID)`
+ * - `!include_many` includes a file again each time, `!include_once` fails if it was included before
+ * - `!includesub file.puml!NAME` includes the `!startsub NAME` ... `!endsub` sections
+ * - `!includedir dir` includes every diagram file of a directory
+ * - `::include{file=...}` works like `!include`
+ *
+ * Relative includes are looked up in `basePath` (for nested includes: the
+ * directory of the including file), then in `context.searchPaths`.
+ * `context.aliases` maps prefixes like `@styles` to directories.
+ *
+ * Every file and directory the result depends on, including missing
+ * files that were looked for, is added to the `context.dependencies` set.
+ *
+ * With `context.roots`, only files inside these directories can be
+ * included; anything else, also through symlinks and `file:` URLs, throws an
+ * `IncludeError`, even for directives that would otherwise be kept.
+ *
+ * Standard library and web URL includes are left for PlantUML. Includes that
+ * cannot be read are kept as they are and reported through
+ * `context.warn(message, offset)`, where `offset` is the position of the
+ * directive in `plantumlCode`. Include cycles throw an `IncludeError`.
+ * Problems in nested includes are reported at the directive of the
+ * top-level code that led to them.
+ *
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {string} basePath - Directory relative includes are resolved against first
+ * @param {Object} [context] - `searchPaths`, `aliases`, `roots`, `dependencies`, `warn` for unreadable includes and `log` for tracing
+ * @returns {Promise<string>} - Processed PlantUML code
+ */
+async function processIncludes(plantumlCode, basePath, context = {}) {
+  return expandIncludes(plantumlCode, basePath, withDefaults(context), await createState(context));
+}
+
+/**
+ * Fills in the context settings that were not given
+ * @param {Object} context - `searchPaths`, `aliases`, `roots`, `dependencies`, `warn` and `log`
+ * @returns {Object} - Complete context
+ */
+function withDefaults(context) {
+  const defaults = { searchPaths: [], aliases: {}, dependencies: new Set(), warn: () => {}, log: () => {} };
+  return { ...defaults, ...context };
+}
+
+/**
+ * Creates the state of one run of include processing
+ * @param {Object} context - `roots` the included files must be in
+ * @returns {Promise<Object>} - Files included so far, the chain of files being included and the allowed roots
+ */
+async function createState(context) {
+  // Roots are compared both as given and with their symlinks followed
+  const roots = context.roots
+    ? await Promise.all(context.roots.map(async root => [path.resolve(root), await realPath(path.resolve(root))]))
+    : null;
+  return { included: new Set(), stack: [], roots: roots && roots.flat() };
+}
+
+/**
+ * Reads a diagram file a document refers to, such as the `.puml` file of a
+ * markdown image. The file is looked up and sandboxed like an include, and
+ * its first diagram is returned with its `@startXXX` and `@endXXX` lines, so
+ * the diagram type is kept. The includes in it are not expanded.
+ * @param {string} file - Path from the document
+ * @param {string} basePath - Directory of the document
+ * @param {Object} [context] - `searchPaths`, `aliases`, `roots` and `dependencies`, as for `processIncludes`
+ * @returns {Promise<{fullPath: string, code: string}>} - Absolute path and diagram code
+ */
+async function readDiagramFile(file, basePath, context = {}) {
+  const fullContext = withDefaults(context);
+  const state = await createState(context);
+
+  let fullPath;
+  let content;
+  try {
+    fullPath = await resolveInclude(file, basePath, fullContext, state);
+    await checkRealPath(fullPath, file, state);
+    fullContext.dependencies.add(fullPath);
+    content = await fs.readFile(fullPath, "utf8");
+  } catch (error) {
+    if (error instanceof IncludeError) throw error;
+    throw new Error(`${file} ${error.message}`);
+  }
+
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => START_REGEX.test(line));
+  if (start === -1) return { fullPath, code: content.trim() };
+  const end = lines.findIndex((line, index) => index > start && END_REGEX.test(line));
+  return { fullPath, code: lines.slice(start, end === -1 ? undefined : end + 1).join("\n") };
+}
+
+/**
+ * Expands the directives of one level of includes
+ * @param {string} code - PlantUML code
+ * @param {string} basePath - Directory relative includes are resolved against
+ * @param {Object} context - `searchPaths`, `aliases`, `dependencies`, `warn` and `log`
+ * @param {Object} state - Files included so far, the chain of files being included and the allowed roots
+ * @returns {Promise<string>} - Processed code
+ */
+async function expandIncludes(code, basePath, context, state) {
+  const output = [];
+  let offset = 0;
+
+  for (const line of code.split("\n")) {
+    const lineOffset = offset;
+    offset += line.length + 1;
+
+    try {
+      const directive = DIRECTIVE_REGEX.exec(line);
+      if (directive) {
+        const [, indent, kind, target] = directive;
+        const expanded = await expandDirective(kind, target, basePath, lineOffset + indent.length, context, state);
+        output.push(expanded === null ? line : expanded);
+        continue;
+      }
+
+      // ::include{file=...} may appear anywhere in a line
+      let expandedLine = line;
+      for (const match of line.match(INCLUDE_FILE_REGEX) || []) {
+        const target = /file=([^}]+)/.exec(match)[1].trim();
+        const expanded = await expandDirective(
+          "include",
+          target,
+          basePath,
+          lineOffset + line.indexOf(match),
+          context,
+          state
+        );
+        if (expanded !== null) expandedLine = expandedLine.replace(match, expanded);
+      }
+      output.push(expandedLine);
+    } catch (error) {
+      // Nested errors are reported at the directive of this level
+      if (error instanceof IncludeError) {
+        error.offset = lineOffset + (line.length - line.trimStart().length);
+      }
+      throw error;
+    }
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Expands a single include directive
+ * @param {string} kind - include, include_many, include_once, includesub or includedir
+ * @param {string} target - Directive argument
+ * @param {string} basePath - Directory relative includes are resolved against
+ * @param {number} offset - Position of the directive in the code
+ * @param {Object} context - `searchPaths`, `aliases`, `dependencies`, `warn` and `log`
+ * @param {Object} state - Files included so far, the chain of files being included and the allowed roots
+ * @returns {Promise<string|null>} - Replacement text, or null to keep the directive
+ */
+async function expandDirective(kind, target, basePath, offset, context, state) {
+  if (isExternalTarget(target)) return null;
+  if (hasScheme(target)) {
+    // PlantUML would read a file: URL from anywhere, so it cannot pass the roots
+    if (state.roots) throw new IncludeError(`Include outside the allowed include roots: ${target}`);
+    return null;
+  }
+
+  if (kind === "includedir") {
+    let dir;
+    let entries;
+    try {
+      dir = await resolveInclude(target, basePath, context, state);
+      await checkRealPath(dir, target, state);
+      context.dependencies.add(dir);
+      entries = await fs.readdir(dir);
+    } catch (error) {
+      if (error instanceof IncludeError) throw error;
+      context.warn(`Cannot include directory ${target}: ${error.message}`, offset);
+      return null;
+    }
+
+    const parts = [];
+    for (const entry of entries.filter(name => INCLUDE_EXTENSIONS.includes(path.extname(name))).sort()) {
+      const expanded = await expandFile("include", path.join(dir, entry), null, context, state);
+      if (expanded) parts.push(expanded);
+    }
+    return parts.join("\n");
+  }
+
+  const { file, selector } = splitTarget(target);
+  if (state.roots) await checkRoots(file, target, basePath, context, state);
+
+  if (kind === "includesub" && !selector) {
+    context.warn(`Cannot include ${target}: !includesub needs a sub name, e.g. file.puml!NAME`, offset);
+    return null;
+  }
+  if (!INCLUDE_EXTENSIONS.includes(path.extname(file))) {
+    context.warn(`Cannot include ${target}: only ${INCLUDE_EXTENSIONS.join(", ")} files can be included`, offset);
+    return null;
+  }
+
+  try {
+    const fullPath = await resolveInclude(file, basePath, context, state);
+    return await expandFile(kind, fullPath, selector, context, state, target);
+  } catch (error) {
+    if (error instanceof IncludeError) throw error;
+    // Keep the original include directive if file can't be read
+    context.warn(`Cannot include ${target}: ${error.message}`, offset);
+    return null;
+  }
+}
+
+/**
+ * Reads an included file, selects the requested part and expands its own includes
+ * @param {string} kind - include, include_many, include_once or includesub
+ * @param {string} fullPath - Absolute path of the file
+ * @param {string|null} selector - Diagram index, diagram id or sub name
+ * @param {Object} context - `searchPaths`, `aliases`, `dependencies`, `warn` and `log`
+ * @param {Object} state - Files included so far, the chain of files being included and the allowed roots
+ * @param {string} [target] - Directive argument, for messages
+ * @returns {Promise<string>} - Expanded content
+ */
+async function expandFile(kind, fullPath, selector, context, state, target = fullPath) {
+  await checkRealPath(fullPath, target, state);
+
+  if (state.stack.includes(fullPath)) {
+    const chain = [...state.stack, fullPath].map(file => path.basename(file)).join(" -> ");
+    throw new IncludeError(`Circular include: ${chain}`);
+  }
+
+  const key = `${fullPath}!${selector || ""}`;
+  if (state.included.has(key)) {
+    if (kind === "include_once") {
+      throw new IncludeError(`${target} was already included (!include_once)`);
+    }
+    if (kind === "include") {
+      // PlantUML includes a file only once unless !include_many is used
+      context.log(`📄 PlantUML include skipped, already included: ${target}`);
+      return "";
+    }
+  }
+
+  context.dependencies.add(fullPath);
+  const content = await fs.readFile(fullPath, "utf8");
+  const lines = selectLines(content, selector, kind === "includesub");
+  if (!lines) {
+    throw new Error(`no ${kind === "includesub" ? "sub" : "diagram"} named ${selector}`);
+  }
+
+  state.included.add(key);
+  state.stack.push(fullPath);
+  try {
+    // Sub markers only matter to !includesub
+    const body = lines.filter(line => !STARTSUB_REGEX.test(line) && !ENDSUB_REGEX.test(line)).join("\n");
+    const expanded = await expandIncludes(body, path.dirname(fullPath), context, state);
+    context.log(`📄 PlantUML include processed: ${target} (${fullPath})`);
+    return expanded.trim();
+  } finally {
+    state.stack.pop();
+  }
+}
+
+module.exports = {
+  IncludeError,
+  processIncludes,
+  readDiagramFile
+};
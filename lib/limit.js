@@ -0,0 +1,69 @@
+/**
+ * Creates a function that runs at most `concurrency` tasks at the same time
+ * and queues the rest in the order they were added
+ * @param {number} concurrency - Maximum number of running tasks, Infinity for no limit
+ * @returns {function(function(): Promise): Promise} - Runs a task when a slot is free
+ */
+function createLimiter(concurrency) {
+  const max = concurrency > 0 ? concurrency : Infinity;
+  const queue = [];
+  let running = 0;
+
+  function next() {
+    if (running >= max || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    running++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .then(() => {
+        running--;
+        next();
+      });
+  }
+
+  return function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+/**
+ * Rejects when a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds, 0 for none
+ * @param {function(): Error} createError - Creates the error for a timeout
+ * @param {function(): void} [onTimeout] - Called when the time is up, e.g. to abort the work
+ * @returns {Promise} - The promise's result
+ */
+function withTimeout(promise, ms, createError, onTimeout) {
+  if (!ms) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      reject(createError());
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Resolves after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createLimiter,
+  delay,
+  withTimeout
+};
@@ -0,0 +1,16 @@
+/**
+ * Creates the function used for verbose tracing.
+ * Messages go to the `logger` option, or to the console with `verbose: true`,
+ * and are dropped otherwise.
+ * @param {Object} options - Plugin options
+ * @returns {function(string): void} - Trace function
+ */
+function createLog(options) {
+  if (typeof options.logger === "function") return options.logger;
+  if (options.verbose) return message => console.log(message);
+  return () => {};
+}
+
+module.exports = {
+  createLog
+};
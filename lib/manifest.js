@@ -0,0 +1,186 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { DEFAULT_FILENAME, filenameTemplateRegex } = require("./output");
+
+const MANIFEST_FILENAME = "plantuml-manifest.json";
+const MANIFEST_VERSION = 1;
+
+// Documents without a path are merged under this key instead of replacing each other
+const ANONYMOUS_DOCUMENT = "<anonymous>";
+
+// Pending writes per manifest, so documents processed in parallel don't lose updates
+const manifestQueues = new Map();
+
+/**
+ * Resolves the manifest path from the `manifest` option
+ * @param {boolean|string} manifest - `true` for the default location or a path
+ * @param {string} outputDir - Output directory
+ * @returns {string|null} - Absolute manifest path, or null when disabled
+ */
+function manifestPath(manifest, outputDir) {
+  if (!manifest) return null;
+  return path.resolve(typeof manifest === "string" ? manifest : path.join(outputDir, MANIFEST_FILENAME));
+}
+
+/**
+ * Reads a manifest, returning an empty one if it does not exist yet
+ * @param {string} filePath - Manifest path
+ * @returns {Promise<Object>} - Manifest
+ */
+async function readManifest(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    return { version: MANIFEST_VERSION, documents: {} };
+  }
+
+  const manifest = await fs.readJson(filePath);
+  if (manifest.version !== MANIFEST_VERSION || typeof manifest.documents !== "object") {
+    throw new Error(`Unsupported PlantUML manifest: ${filePath}`);
+  }
+  return manifest;
+}
+
+/**
+ * Writes a manifest through a temporary file, so readers never see half of it
+ * @param {string} filePath - Manifest path
+ * @param {Object} manifest - Manifest
+ * @returns {Promise<void>}
+ */
+async function writeManifest(filePath, manifest) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2) + "\n");
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Converts a path to the forward slash form stored in the manifest
+ * @param {string} filePath - Relative path
+ * @returns {string} - Path with forward slashes
+ */
+function toManifestPath(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Records the images a document references. The manifest is written the
+ * first time even for a document without images, so `prune` can tell that
+ * no image is in use.
+ * @param {string} filePath - Manifest path
+ * @param {Object} file - The vfile being processed
+ * @param {string[]} images - Absolute paths of the referenced images
+ * @returns {Promise<void>}
+ */
+function recordDocument(filePath, file, images) {
+  const manifestDir = path.dirname(filePath);
+  const key = file.path
+    ? toManifestPath(path.relative(file.cwd, path.resolve(file.cwd, file.path)))
+    : ANONYMOUS_DOCUMENT;
+  const relativeImages = images.map(image => toManifestPath(path.relative(manifestDir, image)));
+
+  const previous = manifestQueues.get(filePath) || Promise.resolve();
+  const update = previous
+    .catch(() => {})
+    .then(async () => {
+      const exists = await fs.pathExists(filePath);
+      const manifest = await readManifest(filePath);
+      const existing = manifest.documents[key] || [];
+      const references = key === ANONYMOUS_DOCUMENT ? existing.concat(relativeImages) : relativeImages;
+
+      if (references.length === 0 && existing.length === 0 && exists) return;
+
+      if (references.length === 0) {
+        delete manifest.documents[key];
+      } else {
+        manifest.documents[key] = [...new Set(references)].sort();
+      }
+      await writeManifest(filePath, manifest);
+    });
+
+  manifestQueues.set(filePath, update);
+  return update;
+}
+
+/**
+ * Lists the images in a directory and its subdirectories whose path matches
+ * the filename template they were written with
+ * @param {string} dir - Directory to scan
+ * @param {RegExp} pattern - Pattern of the image paths relative to the directory, from `filenameTemplateRegex`
+ * @param {string} [prefix] - Path of the scanned subdirectory, for recursion
+ * @returns {Promise<string[]>} - Absolute image paths
+ */
+async function listHashedImages(dir, pattern, prefix = "") {
+  if (!(await fs.pathExists(dir))) return [];
+
+  const images = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      images.push(...(await listHashedImages(entryPath, pattern, `${prefix}${entry.name}/`)));
+    } else if (pattern.test(`${prefix}${entry.name}`)) {
+      images.push(entryPath);
+    }
+  }
+  return images;
+}
+
+/**
+ * Deletes hashed images that no document in the manifest references any more.
+ *
+ * Documents that no longer exist on disk are dropped from the manifest first.
+ * With `dryRun` nothing is deleted or written, only reported. Only files
+ * matching the `filename` template the images were written with are
+ * considered, so other files in the output directory are left alone.
+ * Without a manifest nothing is known to be in use, so pruning fails.
+ *
+ * @param {Object} pruneOptions - `outputDir`, `manifest` path, `filename` template, `cwd` and `dryRun`
+ * @returns {Promise<{removed: string[], kept: string[], removedDocuments: string[]}>} - Report
+ */
+async function prune(pruneOptions = {}) {
+  const { outputDir = "./static", filename = DEFAULT_FILENAME, dryRun = false, cwd = process.cwd() } = pruneOptions;
+  const filePath = manifestPath(pruneOptions.manifest || true, path.resolve(cwd, outputDir));
+  const manifestDir = path.dirname(filePath);
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`No PlantUML manifest at ${filePath}, process the documents with the manifest option first`);
+  }
+  const manifest = await readManifest(filePath);
+
+  const removedDocuments = [];
+  for (const key of Object.keys(manifest.documents)) {
+    if (key !== ANONYMOUS_DOCUMENT && !(await fs.pathExists(path.resolve(cwd, key)))) {
+      removedDocuments.push(key);
+      delete manifest.documents[key];
+    }
+  }
+
+  const referenced = new Set();
+  for (const images of Object.values(manifest.documents)) {
+    for (const image of images) {
+      referenced.add(path.resolve(manifestDir, image));
+    }
+  }
+
+  const removed = [];
+  const kept = [];
+  for (const image of await listHashedImages(path.resolve(cwd, outputDir), filenameTemplateRegex(filename))) {
+    (referenced.has(image) ? kept : removed).push(image);
+  }
+
+  if (!dryRun) {
+    for (const image of removed) {
+      await fs.remove(image);
+    }
+    if (removedDocuments.length > 0) {
+      await writeManifest(filePath, manifest);
+    }
+  }
+
+  return { removed, kept, removedDocuments };
+}
+
+module.exports = {
+  manifestPath,
+  prune,
+  readManifest,
+  recordDocument
+};
@@ -0,0 +1,122 @@
+/**
+ * Attributes that override plugin options, mapped to the option name
+ */
+const OPTION_ATTRIBUTES = {
+  format: "outputFormat",
+  formats: "outputFormats",
+  scales: "scales",
+  inline: "inlineImage",
+  inlineSvg: "inlineSvg",
+  dataUri: "dataUri"
+};
+
+/**
+ * Attributes passed on to the generated image element
+ */
+const IMAGE_ATTRIBUTES = ["width", "height", "class", "id"];
+
+/**
+ * Parses a code fence meta string into key/value attributes.
+ *
+ * Values can be bare (`width=600`) or quoted (`alt="Login flow"`). Words
+ * without a value are collected in `text`, which keeps the old behaviour of
+ * using the whole meta string as the title.
+ *
+ * @param {string|null} meta - Meta string of the code node
+ * @returns {{attributes: Object, text: string}} - Parsed attributes and remaining text
+ */
+function parseMeta(meta) {
+  const attributes = {};
+  const words = [];
+  const tokenRegex = /([A-Za-z_][\w-]*)=(?:"([^"]*)"|'([^']*)'|(\S*))|("[^"]*"|'[^']*'|\S+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(meta || "")) !== null) {
+    if (match[1]) {
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attributes[match[1]] = value;
+    } else {
+      words.push(match[5].replace(/^(["'])(.*)\1$/, "$2"));
+    }
+  }
+
+  return { attributes, text: words.join(" ") };
+}
+
+/**
+ * Converts an attribute value to a boolean option
+ * @param {string} value - Attribute value
+ * @returns {boolean} - `false` for "false", "no", "off" and "0", `true` otherwise
+ */
+function toBoolean(value) {
+  return !/^(false|no|off|0)$/i.test(value);
+}
+
+/**
+ * Resolves the options and image attributes of a single code block
+ * @param {Object} options - Plugin options
+ * @param {string|null} meta - Meta string of the code node
+ * @returns {{options: Object, alt: string|null, title: string|null, properties: Object}} - Block settings
+ */
+function blockSettings(options, meta) {
+  const { attributes, text } = parseMeta(meta);
+  const blockOptions = { ...options };
+  const properties = {};
+
+  for (const [attribute, option] of Object.entries(OPTION_ATTRIBUTES)) {
+    if (attributes[attribute] === undefined) continue;
+    blockOptions[option] =
+      typeof options[option] === "boolean" ? toBoolean(attributes[attribute]) : attributes[attribute];
+  }
+
+  // A block can only choose a directory inside the output directory, and none at all
+  // when documents are not trusted; the path is checked when the image is written
+  if (attributes.outputDir !== undefined && !options.untrusted && !options.includeRoots) {
+    blockOptions.outputSubdir = attributes.outputDir;
+  }
+
+  // A single format on the code fence replaces the formats of the plugin options
+  if (attributes.format !== undefined && attributes.formats === undefined) {
+    blockOptions.outputFormats = null;
+  }
+
+  for (const attribute of IMAGE_ATTRIBUTES) {
+    if (attributes[attribute] === undefined) continue;
+    if (attribute === "class") {
+      properties.className = attributes.class.split(/\s+/).filter(Boolean);
+    } else {
+      properties[attribute] = attributes[attribute];
+    }
+  }
+
+  // Without attributes the meta string is the title, as it always has been
+  const legacyTitle = Object.keys(attributes).length === 0 ? meta || null : text || null;
+  const title = attributes.title !== undefined ? attributes.title : legacyTitle;
+
+  return {
+    options: blockOptions,
+    alt: attributes.alt !== undefined ? attributes.alt : title,
+    title,
+    properties
+  };
+}
+
+/**
+ * Reads the settings of a document from its frontmatter: the `plantuml`
+ * object of `file.data.frontmatter` or `file.data.matter`, where frontmatter
+ * plugins such as remark-frontmatter with vfile-matter put the parsed YAML
+ * @param {Object} [file] - vfile of the document
+ * @returns {Object} - Document settings, empty without frontmatter
+ */
+function documentSettings(file) {
+  const data = (file && file.data) || {};
+  const frontmatter = data.frontmatter || data.matter;
+  const settings = frontmatter && frontmatter.plantuml;
+  return settings && typeof settings === "object" ? settings : {};
+}
+
+module.exports = {
+  blockSettings,
+  documentSettings,
+  parseMeta
+};
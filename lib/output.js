@@ -0,0 +1,232 @@
+const path = require("path");
+
+// Where images are written when no template is given: flat in the output directory
+const DEFAULT_FILENAME = "plantuml-{hash}.{ext}";
+
+// `{name}`, `{hash:8}` or `{id|index}`, which takes the first field that is not empty
+const PLACEHOLDER_REGEX = /\{([^{}]+)\}/g;
+
+const FILENAME_FIELDS = [
+  "hash",
+  "ext",
+  "docPath",
+  "docDir",
+  "docName",
+  "docSlug",
+  "id",
+  "title",
+  "index",
+  "page",
+  "scale",
+  "theme"
+];
+
+// Fields that can hold directories
+const PATH_FIELDS = ["docPath", "docDir"];
+
+/**
+ * Turns text into a lowercase slug of letters, digits and dashes
+ * @param {string} text - Text
+ * @returns {string} - Slug, empty if nothing is left
+ */
+function slugify(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Makes a relative path safe to use below the output directory: every
+ * segment is cleaned and `.` and `..` segments are dropped
+ * @param {string} relativePath - Path with forward slashes
+ * @returns {string} - Cleaned path
+ */
+function safePath(relativePath) {
+  return relativePath
+    .split("/")
+    .map(segment => segment.replace(/[^\w.-]+/g, "-"))
+    .filter(segment => segment && segment !== "." && segment !== "..")
+    .join("/");
+}
+
+/**
+ * Checks the directory a code fence chose with its `outputDir` attribute,
+ * which is relative to the configured output directory
+ * @param {string|undefined} dir - Attribute value
+ * @returns {string} - Path with forward slashes, empty without a directory
+ */
+function outputSubdirectory(dir) {
+  if (!dir) return "";
+  const segments = dir.split(/[\\/]/);
+  if (path.posix.isAbsolute(dir) || path.win32.isAbsolute(dir) || segments.includes("..")) {
+    throw new Error(`outputDir of a block must be a directory inside outputDir: ${dir}`);
+  }
+  return safePath(segments.join("/"));
+}
+
+/**
+ * Parses a placeholder of a filename template
+ * @param {string} placeholder - Text between the braces, e.g. `hash:8` or `id|index`
+ * @returns {{name: string, length: number|null}[]} - Fields tried in order
+ */
+function parsePlaceholder(placeholder) {
+  return placeholder.split("|").map(part => {
+    const [name, length] = part.trim().split(":");
+    if (!FILENAME_FIELDS.includes(name) || (length !== undefined && !/^[1-9]\d*$/.test(length))) {
+      throw new Error(`Unknown filename placeholder: {${placeholder}}`);
+    }
+    return { name, length: length === undefined ? null : Number(length) };
+  });
+}
+
+/**
+ * Checks a filename template. Every placeholder must be known, and the hash
+ * must be part of the name, because existing files are reused as the cache.
+ * @param {string} template - Filename template
+ * @returns {string} - The template
+ */
+function checkFilenameTemplate(template) {
+  if (typeof template !== "string" || !template) {
+    throw new Error("The filename option must be a template string");
+  }
+  let hashed = false;
+  for (const [, placeholder] of template.matchAll(PLACEHOLDER_REGEX)) {
+    const fields = parsePlaceholder(placeholder);
+    if (fields.length === 1 && fields[0].name === "hash") hashed = true;
+  }
+  if (!hashed) {
+    throw new Error(`Filename template needs a {hash} placeholder: ${template}`);
+  }
+  return template;
+}
+
+/**
+ * Fills in a filename template
+ * @param {string} template - Filename template
+ * @param {Object} fields - Values of the placeholders
+ * @returns {string} - Path relative to the output directory, with forward slashes
+ */
+function fillFilenameTemplate(template, fields) {
+  const filled = template.replace(PLACEHOLDER_REGEX, (match, placeholder) => {
+    for (const { name, length } of parsePlaceholder(placeholder)) {
+      const value = fields[name] === undefined || fields[name] === null ? "" : String(fields[name]);
+      if (value) return length ? value.slice(0, length) : value;
+    }
+    return "";
+  });
+  // Empty fields leave empty directories behind, e.g. `{docDir}/` for a document in the root
+  return safePath(filled);
+}
+
+/**
+ * Creates a regular expression matching the files a filename template
+ * produces, so images can be told apart from other files when pruning
+ * @param {string} template - Filename template
+ * @returns {RegExp} - Matches paths relative to the output directory, with forward slashes
+ */
+function filenameTemplateRegex(template) {
+  checkFilenameTemplate(template);
+
+  // Blocks can put images in a directory of their own with the outputDir attribute
+  let source = "(?:.*/)?";
+  let lastIndex = 0;
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  for (const match of template.matchAll(PLACEHOLDER_REGEX)) {
+    source += escape(template.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const fields = parsePlaceholder(match[1]);
+    if (fields.length === 1 && fields[0].name === "hash") {
+      source += `[0-9a-f]{${fields[0].length || 64}}`;
+    } else if (fields.length === 1 && fields[0].name === "ext") {
+      source += "[a-z]+";
+    } else if (fields.some(({ name }) => PATH_FIELDS.includes(name))) {
+      // Directories can be empty, taking the slash after them along
+      const slash = template[lastIndex] === "/";
+      if (slash) lastIndex++;
+      source += slash ? "(?:.*/)?" : ".*";
+    } else {
+      source += "[^/]*";
+    }
+  }
+  source += escape(template.slice(lastIndex));
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Reads the fields describing a document from its vfile
+ * @param {Object} [file] - vfile of the document
+ * @param {string} cwd - Working directory the document path is relative to
+ * @returns {Object} - `docPath`, `docDir`, `docName` and `docSlug`, empty without a path
+ */
+function documentFields(file, cwd) {
+  if (!file || !file.path) return { docPath: "", docDir: "", docName: "", docSlug: "" };
+
+  const relative = path
+    .relative(cwd, path.resolve(cwd, file.path))
+    .split(path.sep)
+    .join("/");
+  const docPath = safePath(relative.replace(/\.[^./]+$/, ""));
+  const docDir = safePath(path.posix.dirname(relative));
+  return {
+    docPath,
+    docDir,
+    docName: docPath.split("/").pop(),
+    docSlug: slugify(docPath.replace(/\//g, "-"))
+  };
+}
+
+/**
+ * Builds the public URL of an image as urlPrefix + filename
+ * @param {string} urlPrefix - URL prefix of the output directory
+ * @param {string} filename - Image path relative to the output directory
+ * @returns {string} - Image URL
+ */
+function imageUrl(urlPrefix, filename) {
+  // Ensure no double slashes
+  const url = (urlPrefix.endsWith("/") ? urlPrefix : urlPrefix + "/") + filename;
+  return url.replace(/\/\/+/, "/");
+}
+
+/**
+ * Decides where an image is written and how it is linked: the filename
+ * template below the output directory, or the directory of the block within
+ * it, and the URL prefix, unless the
+ * `resolveOutput` option returns a `path` or `url` of its own
+ * @param {Object} fields - Values of the template placeholders
+ * @param {Object} options - Plugin options of the block
+ * @returns {Promise<{filename: string, url: string}>} - Path relative to the output directory
+ *   (or absolute) and the image URL
+ */
+async function outputLocation(fields, options) {
+  const filename = [outputSubdirectory(options.outputSubdir), fillFilenameTemplate(options.filename, fields)]
+    .filter(Boolean)
+    .join("/");
+  const url = imageUrl(options.urlPrefix, filename);
+  if (typeof options.resolveOutput !== "function") return { filename, url };
+
+  const resolved =
+    (await options.resolveOutput({ ...fields, path: filename, url, outputDir: options.outputDir })) || {};
+  if (!resolved.path) return { filename, url: resolved.url || url };
+
+  // A path of the resolver without a URL is linked like any file in the output directory
+  const relative = path.relative(path.resolve(options.outputDir), path.resolve(options.outputDir, resolved.path));
+  return {
+    filename: resolved.path,
+    url: resolved.url || imageUrl(options.urlPrefix, relative.split(path.sep).join("/"))
+  };
+}
+
+module.exports = {
+  DEFAULT_FILENAME,
+  checkFilenameTemplate,
+  documentFields,
+  filenameTemplateRegex,
+  fillFilenameTemplate,
+  imageUrl,
+  outputLocation,
+  slugify
+};
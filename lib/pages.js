@@ -0,0 +1,59 @@
+// Splits a diagram into pages, e.g. a long sequence diagram
+const NEWPAGE_REGEX = /^\s*newpage\b/gim;
+
+/**
+ * Counts the pages of a diagram: one, plus one for each `newpage` line
+ * @param {string} plantumlCode - The PlantUML code
+ * @returns {number} - Number of pages
+ */
+function countPages(plantumlCode) {
+  return (plantumlCode.match(NEWPAGE_REGEX) || []).length + 1;
+}
+
+/**
+ * Adapts the block settings to one page of a diagram: the alt text says which
+ * page it is, and only the first page keeps the element id
+ * @param {Object} block - Block settings from the code fence meta string
+ * @param {number} page - Page, counted from 0
+ * @param {number} count - Number of pages
+ * @returns {Object} - Block settings of the page
+ */
+function pageBlock(block, page, count) {
+  if (count === 1) return block;
+
+  const { id, ...properties } = block.properties;
+  return {
+    ...block,
+    alt: block.alt ? `${block.alt} (page ${page + 1} of ${count})` : block.alt,
+    properties: page === 0 && id !== undefined ? { id, ...properties } : properties
+  };
+}
+
+/**
+ * Puts the pages of a diagram one after another in a `<div>`.
+ *
+ * The container is a paragraph for mdast, like figures, and `hName` turns it
+ * into a div for HTML.
+ *
+ * @param {Object[]} pages - Image or html node of each page
+ * @returns {Object} - mdast node
+ */
+function createPagesNode(pages) {
+  const children = [];
+  pages.forEach((page, index) => {
+    if (index > 0) children.push({ type: "text", value: "\n" });
+    children.push(page);
+  });
+
+  return {
+    type: "paragraph",
+    data: { hName: "div", hProperties: { className: ["plantuml-pages"] } },
+    children
+  };
+}
+
+module.exports = {
+  countPages,
+  createPagesNode,
+  pageBlock
+};
@@ -0,0 +1,43 @@
+const { escapeAttribute } = require("./html");
+
+/**
+ * Formats HTML attributes, skipping missing values
+ * @param {Object} attributes - Attribute names and values; `className` may be an array
+ * @returns {string} - Attributes with a leading space each
+ */
+function formatAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const attribute = name === "className" ? "class" : name;
+      return ` ${attribute}="${escapeAttribute(Array.isArray(value) ? value.join(" ") : value)}"`;
+    })
+    .join("");
+}
+
+/**
+ * Creates a `<picture>` element letting the browser choose between image variants
+ * @param {Object[]} sources - `{ media, type, srcset }` for each `<source>`, in order of preference
+ * @param {Object} image - `src`, `srcset`, `alt`, `title` and `properties` of the fallback `<img>`
+ * @returns {Object} - mdast html node
+ */
+function createPictureNode(sources, image) {
+  const sourceTags = sources.map(source => `<source${formatAttributes(source)}>`);
+  const imgTag = `<img${formatAttributes({
+    src: image.src,
+    srcset: image.srcset,
+    // An empty alt is still needed, or screen readers announce the URL
+    alt: image.alt || "",
+    title: image.title || undefined,
+    ...image.properties
+  })}>`;
+
+  return {
+    type: "html",
+    value: `<picture>${sourceTags.join("")}${imgTag}</picture>`
+  };
+}
+
+module.exports = {
+  createPictureNode
+};
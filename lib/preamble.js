@@ -0,0 +1,102 @@
+// The first @startuml, @startmindmap, ... line of a diagram
+const START_LINE_REGEX = /^[ \t]*@start[a-z]+\b.*$/im;
+// The last @enduml, @endmindmap, ... line of a diagram
+const END_LINE_REGEX = /^[ \t]*@end[a-z]+\b.*$/gim;
+
+// A single word naming a diagram file is read from that file; PlantUML lines start with `!` or have spaces
+const FILE_REGEX = /^[^\s!]\S*\.(?:puml|iuml|pu|plantuml)$/i;
+
+/**
+ * Inserts PlantUML lines at the top of a diagram: after its `@startXXX`
+ * line, or before everything else if it has none
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {string} preamble - Lines to insert
+ * @returns {string} - PlantUML code with the preamble
+ */
+function insertPreamble(plantumlCode, preamble) {
+  return addAmbles(plantumlCode, { preamble }).code;
+}
+
+/**
+ * Finds where the preamble and postamble go
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {string} preamble - Lines to insert at the top
+ * @param {string} postamble - Lines to insert at the bottom
+ * @returns {{at: number, text: string}[]} - Insertions in order, at offsets of the original code
+ */
+function insertions(plantumlCode, preamble, postamble) {
+  const result = [];
+
+  if (preamble) {
+    const start = START_LINE_REGEX.exec(plantumlCode);
+    result.push(
+      start ? { at: start.index + start[0].length, text: `\n${preamble}` } : { at: 0, text: `${preamble}\n` }
+    );
+  }
+
+  if (postamble) {
+    const ends = [...plantumlCode.matchAll(END_LINE_REGEX)];
+    const end = ends[ends.length - 1];
+    result.push(end ? { at: end.index, text: `${postamble}\n` } : { at: plantumlCode.length, text: `\n${postamble}` });
+  }
+
+  return result.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Adds a preamble after the `@startXXX` line (or at the top) and a postamble
+ * before the `@endXXX` line (or at the end) of a diagram.
+ *
+ * `originalOffset` maps an offset in the new code back to the code block, so
+ * problems can still be reported at the right line. It returns undefined for
+ * offsets inside the inserted text.
+ *
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {Object} ambles - `preamble` and `postamble` text, either may be empty
+ * @returns {{code: string, originalOffset: function(number): (number|undefined)}} - New code and offset mapping
+ */
+function addAmbles(plantumlCode, { preamble = "", postamble = "" }) {
+  const inserted = insertions(plantumlCode, preamble, postamble);
+
+  let code = plantumlCode;
+  let shift = 0;
+  for (const { at, text } of inserted) {
+    code = code.slice(0, at + shift) + text + code.slice(at + shift);
+    shift += text.length;
+  }
+
+  const originalOffset = offset => {
+    let removed = 0;
+    for (const { at, text } of inserted) {
+      if (offset < at + removed) break;
+      if (offset < at + removed + text.length) return undefined;
+      removed += text.length;
+    }
+    return offset - removed;
+  };
+
+  return { code, originalOffset };
+}
+
+/**
+ * Turns a `preamble` or `postamble` setting into PlantUML lines. `{ file }`,
+ * or a path to a `.puml`, `.iuml`, `.pu` or `.plantuml` file without spaces,
+ * becomes an `!include` of that file, so it is resolved, sandboxed and
+ * watched like any other include; anything else is used as text.
+ * @param {string|string[]|{file: string}|null} value - Text, lines or a file
+ * @param {function(string): string} [resolveFile] - Turns a file path into the path to include
+ * @returns {string} - PlantUML lines, empty if there are none
+ */
+function ambleText(value, resolveFile = file => file) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return `!include ${resolveFile(value.file)}`;
+  }
+  const text = Array.isArray(value) ? value.join("\n") : value || "";
+  return FILE_REGEX.test(text.trim()) ? `!include ${resolveFile(text.trim())}` : text;
+}
+
+module.exports = {
+  addAmbles,
+  ambleText,
+  insertPreamble
+};
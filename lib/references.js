@@ -0,0 +1,63 @@
+const path = require("path");
+const { blockSettings, parseMeta } = require("./meta");
+
+// Diagram files an image can reference
+const DIAGRAM_FILE_REGEX = /\.(?:puml|iuml|pu|plantuml)$/i;
+// An html node holding nothing but an <img> tag
+const IMG_TAG_REGEX = /^<img\b([^>]*?)\/?>$/i;
+
+/**
+ * Turns an image URL into the path of a local diagram file
+ * @param {string} url - Image URL
+ * @param {string} cwd - Working directory, which site-root URLs like `/diagrams/a.puml` are relative to
+ * @returns {string|null} - Path as written, or null if the URL is no local diagram file
+ */
+function diagramFile(url, cwd) {
+  if (!url || /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith("//")) return null;
+
+  const file = url.replace(/[?#].*$/, "");
+  if (!DIAGRAM_FILE_REGEX.test(file)) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURI(file);
+  } catch (error) {
+    decoded = file;
+  }
+  return decoded.startsWith("/") ? path.join(cwd, decoded) : decoded;
+}
+
+/**
+ * Finds the diagram file a markdown image, or with `htmlImages` an html
+ * `<img>` tag, refers to
+ * @param {Object} node - mdast image or html node
+ * @param {Object} options - Plugin options
+ * @param {string} cwd - Working directory
+ * @returns {{file: string, url: string, block: Object}|null} - Referenced file, the URL and the block
+ *   settings from the image, or null if the node does not reference a diagram file
+ */
+function diagramReference(node, options, cwd) {
+  if (node.type === "image" && options.imageReferences) {
+    const file = diagramFile(node.url, cwd);
+    if (!file) return null;
+    // An empty alt text is left to the diagram's title, like a code fence without alt
+    const block = { ...blockSettings(options, null), alt: node.alt || null, title: node.title || null };
+    return { file, url: node.url, block };
+  }
+
+  if (node.type === "html" && options.htmlImages) {
+    const tag = IMG_TAG_REGEX.exec(node.value.trim());
+    const url = tag && parseMeta(tag[1]).attributes.src;
+    const file = diagramFile(url, cwd);
+    if (!file) return null;
+    // The attributes of the tag work like those of a code fence
+    return { file, url, block: blockSettings(options, tag[1]) };
+  }
+
+  return null;
+}
+
+module.exports = {
+  diagramFile,
+  diagramReference
+};
@@ -0,0 +1,90 @@
+const visit = require("unist-util-visit");
+
+// `language-plantuml` as written by markdown renderers, `lang-plantuml` as used by some highlighters
+const LANGUAGE_CLASS_REGEX = /^lang(?:uage)?-(.+)$/;
+
+/**
+ * Collects the text of a hast node
+ * @param {Object} node - hast node
+ * @returns {string} - Text content
+ */
+function textContent(node) {
+  if (node.type === "text") return node.value;
+  return (node.children || []).map(textContent).join("");
+}
+
+/**
+ * Reads the diagram of a `<pre><code class="language-plantuml">` element
+ * @param {Object} node - hast element
+ * @returns {{lang: string, meta: string|null, value: string}|null} - Code block, or null for other elements
+ */
+function codeBlock(node) {
+  if (node.type !== "element" || node.tagName !== "pre") return null;
+
+  const elements = node.children.filter(child => child.type === "element");
+  const code = elements.length === 1 && elements[0].tagName === "code" ? elements[0] : null;
+  if (!code || node.children.some(child => child.type === "text" && child.value.trim())) return null;
+
+  const className = code.properties.className || [];
+  const language = className.map(name => LANGUAGE_CLASS_REGEX.exec(name)).find(Boolean);
+  if (!language) return null;
+
+  // remark-rehype keeps the meta string of a code fence in `data.meta`; HTML can carry it as `data-meta`
+  const meta = (code.data && code.data.meta) || code.properties.dataMeta || null;
+  return { lang: language[1], meta, value: textContent(code).replace(/\n$/, "") };
+}
+
+/**
+ * Plugin for rehype, the HTML counterpart of the remark plugin.
+ *
+ * PlantUML `<pre><code>` elements are turned into mdast code nodes, rendered
+ * by the remark transformer with the same options, and the result is turned
+ * back into hast. Includes, caching, rendering, figures and descriptions
+ * therefore work the same for markdown and HTML sources.
+ *
+ * @param {Object} pluginOptions Plugin options, the same as for the remark plugin.
+ */
+function rehypePlantumlPlugin(pluginOptions) {
+  // Required here, as the remark plugin exports this one
+  const remarkPlantumlPlugin = require("../index");
+  const transform = remarkPlantumlPlugin(pluginOptions);
+
+  return async function transformer(tree, file) {
+    const blocks = [];
+    visit(tree, "element", (node, index, parent) => {
+      const block = codeBlock(node);
+      if (!block) return;
+      blocks.push({ parent, index, node });
+      return visit.SKIP;
+    });
+    if (blocks.length === 0) return tree;
+
+    // Every block is a top-level code node, so it can become a figure like in markdown
+    const codeNodes = blocks.map(({ node }) => ({ type: "code", ...codeBlock(node), position: node.position }));
+    const mdast = { type: "root", children: [...codeNodes] };
+    await transform(mdast, file);
+
+    const [{ toHast }, { fromHtml }] = await Promise.all([import("mdast-util-to-hast"), import("hast-util-from-html")]);
+
+    // Raw HTML such as inline SVGs is parsed, so later plugins see elements instead of strings
+    const parseRaw = node => {
+      if (node.type === "raw") return fromHtml(node.value, { fragment: true }).children;
+      if (node.children) node.children = node.children.flatMap(parseRaw);
+      return [node];
+    };
+
+    // Replaced from the back, so the indexes of earlier blocks in the same parent stay valid
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      const result = mdast.children[i];
+      // Other languages, and diagrams kept as code after an error, stay as they were
+      if (result === codeNodes[i]) continue;
+
+      const { parent, index } = blocks[i];
+      parent.children.splice(index, 1, ...parseRaw(toHast(result, { allowDangerousHtml: true })));
+    }
+
+    return tree;
+  };
+}
+
+module.exports = rehypePlantumlPlugin;
@@ -0,0 +1,270 @@
+const { spawn } = require("child_process");
+const plantumlEncoder = require("plantuml-encoder");
+const { delay, withTimeout } = require("./limit");
+const { createLog } = require("./log");
+
+/**
+ * Builds the PlantUML server URL for a diagram
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {string} format - Image format (png/svg)
+ * @param {Object} options - Plugin options
+ * @param {number} [page] - Page of a diagram split with `newpage`, counted from 0
+ * @returns {string} - Server URL of the rendered diagram
+ */
+function plantumlServerUrl(plantumlCode, format, options, page = 0) {
+  const encoded = plantumlEncoder.encode(plantumlCode);
+  // The server renders the first page unless another one is asked for
+  return page > 0 ? `${options.baseUrl}/${format}/${page}/${encoded}` : `${options.baseUrl}/${format}/${encoded}`;
+}
+
+/**
+ * Whether a failed request is worth repeating: rate limiting, server errors,
+ * timeouts and network errors are, other client errors are not
+ * @param {Error} error - Error thrown while fetching
+ * @returns {boolean} - Whether to retry
+ */
+function isRetryable(error) {
+  if (error.status === undefined) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Fetches a PlantUML diagram once, within the configured timeout
+ * @param {string} url - PlantUML server URL
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Buffer>} - Image data as buffer
+ */
+function fetchOnce(url, options) {
+  const fetchImpl = options.fetch || require("node-fetch");
+  const controller = typeof AbortController === "function" ? new AbortController() : null;
+
+  const request = (async () => {
+    const response = await fetchImpl(url, controller ? { signal: controller.signal } : {});
+    if (!response.ok) {
+      // The server explains syntax errors in headers, next to an image of the error
+      const header = name => (response.headers ? response.headers.get(name) : null);
+      const diagramError = header("x-plantuml-diagram-error");
+      const diagramErrorLine = header("x-plantuml-diagram-error-line");
+      const details = diagramError ? ` (${diagramErrorLine ? `line ${diagramErrorLine}: ` : ""}${diagramError})` : "";
+
+      const error = new Error(`Failed to fetch PlantUML image: ${response.status} ${response.statusText}${details}`);
+      error.status = response.status;
+      error.retryAfter = Number(header("retry-after"));
+      throw error;
+    }
+    return await response.buffer();
+  })();
+
+  return withTimeout(
+    request,
+    options.timeout,
+    () => new Error(`PlantUML server did not respond within ${options.timeout} ms`),
+    () => controller && controller.abort()
+  );
+}
+
+/**
+ * Fetches PlantUML diagram and returns the image data.
+ * Retryable failures are repeated up to `options.retries` times, waiting
+ * `options.retryDelay` before the first retry and twice as long before each next one.
+ * @param {string} plantumlCode - The PlantUML code
+ * @param {Object} options - Plugin options
+ * @param {number} [page] - Page of a diagram split with `newpage`, counted from 0
+ * @returns {Promise<Buffer>} - Image data as buffer
+ */
+async function fetchPlantUMLImage(plantumlCode, options, page = 0) {
+  const url = plantumlServerUrl(plantumlCode, options.outputFormat, options, page);
+  const retries = options.retries || 0;
+  const log = createLog(options);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, options);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const backoff = (options.retryDelay || 0) * 2 ** attempt;
+      const wait = error.retryAfter > 0 ? Math.max(backoff, error.retryAfter * 1000) : backoff;
+      log(`🔁 Retrying PlantUML request in ${wait} ms: ${error.message}`);
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Wraps diagram source in @startuml/@enduml unless it already starts a
+ * diagram, of any type (`@startmindmap`, `@startgantt`, `@startjson`, ...).
+ * The server does this implicitly, the command line tool does not.
+ * @param {string} plantumlCode - The PlantUML code
+ * @returns {string} - PlantUML code with start and end directives
+ */
+function wrapDiagram(plantumlCode) {
+  if (/^\s*@start[a-z]+\b/im.test(plantumlCode)) {
+    return plantumlCode;
+  }
+  return `@startuml\n${plantumlCode}\n@enduml\n`;
+}
+
+/**
+ * Runs a PlantUML command, writing the diagram to stdin and collecting stdout
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Command line arguments
+ * @param {string} input - Data written to stdin
+ * @param {number} [timeout] - Milliseconds after which the command is killed, 0 for none
+ * @param {Object} [env] - Environment of the command, the current one by default
+ * @returns {Promise<Buffer>} - Everything the command wrote to stdout
+ */
+function runPlantUML(command, args, input, timeout, env) {
+  let child;
+  const run = new Promise((resolve, reject) => {
+    child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"], env });
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on("data", chunk => stdout.push(chunk));
+    child.stderr.on("data", chunk => stderr.push(chunk));
+    child.on("error", error => {
+      reject(new Error(`Failed to start PlantUML command "${command}": ${error.message}`));
+    });
+    child.on("close", code => {
+      if (code !== 0) {
+        const message = Buffer.concat(stderr)
+          .toString("utf8")
+          .trim();
+        reject(new Error(`PlantUML command exited with code ${code}${message ? `: ${message}` : ""}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout));
+    });
+
+    // The process may exit before reading stdin, which is reported through "close"
+    child.stdin.on("error", () => {});
+    child.stdin.end(input, "utf8");
+  });
+
+  return withTimeout(
+    run,
+    timeout,
+    () => new Error(`PlantUML command did not finish within ${timeout} ms`),
+    () => child.kill("SIGKILL")
+  );
+}
+
+/**
+ * Returns the command line used to invoke a local PlantUML
+ * @param {Object} options - Plugin options
+ * @returns {string[]} - Executable followed by its arguments
+ */
+function localCommand(options) {
+  if (options.plantumlJar) {
+    return [options.javaCommand, "-Djava.awt.headless=true", "-jar", options.plantumlJar];
+  }
+  const command = options.plantumlCommand || "plantuml";
+  return Array.isArray(command) ? command : [command];
+}
+
+/**
+ * Creates a renderer that sends diagrams to a PlantUML server
+ * @param {Object} options - Plugin options
+ * @returns {Object} - Renderer
+ */
+function createServerRenderer(options) {
+  return {
+    name: "server",
+    cacheKey() {
+      return `server:${options.baseUrl}`;
+    },
+    render(plantumlCode, format, page = 0) {
+      return fetchPlantUMLImage(plantumlCode, { ...options, outputFormat: format }, page);
+    }
+  };
+}
+
+/**
+ * Creates a renderer that pipes diagrams through a local `plantuml`
+ * executable or `java -jar plantuml.jar`
+ * @param {Object} options - Plugin options
+ * @returns {Object} - Renderer
+ */
+function createLocalRenderer(options) {
+  const [command, ...args] = localCommand(options);
+  // PlantUML resolves the includes left in the diagram itself; the sandbox profile stops it from reading files and URLs
+  // whenever includes are limited to roots
+  const env =
+    options.untrusted || options.includeRoots ? { ...process.env, PLANTUML_SECURITY_PROFILE: "SANDBOX" } : undefined;
+  let version = null;
+
+  return {
+    name: "local",
+    cacheKey() {
+      // The version is asked once; diagrams rendered by another release get new filenames
+      if (!version) {
+        version = runPlantUML(command, [...args, "-version"], "", options.timeout)
+          .then(output =>
+            output
+              .toString("utf8")
+              .split("\n")[0]
+              .trim()
+          )
+          .catch(() => "unknown");
+      }
+      return version.then(firstLine => `local:${[command, ...args].join(" ")}:${firstLine}`);
+    },
+    render(plantumlCode, format, page = 0) {
+      // Without an image index the pipe only returns the first page
+      const pageArgs = page > 0 ? ["-pipeimageindex", String(page)] : [];
+      return runPlantUML(
+        command,
+        [...args, "-pipe", ...pageArgs, `-t${format}`, "-charset", "UTF-8"],
+        wrapDiagram(plantumlCode),
+        options.timeout,
+        env
+      );
+    }
+  };
+}
+
+/**
+ * Resolves the `renderer` option to a renderer object.
+ *
+ * A renderer is any object with a `render(plantumlCode, format, page)` method
+ * returning a promise of the image data, and optionally a `cacheKey()`
+ * method identifying its output for caching. `page` counts the pages of a
+ * diagram split with `newpage` from 0. `"auto"` picks the local renderer
+ * when a PlantUML command or jar is configured and the server otherwise.
+ *
+ * @param {Object} options - Plugin options
+ * @returns {Object} - Renderer
+ */
+function createRenderer(options) {
+  const { renderer } = options;
+
+  if (renderer && typeof renderer.render === "function") {
+    return renderer;
+  }
+
+  switch (renderer) {
+    case "local":
+      return createLocalRenderer(options);
+    case "server":
+      return createServerRenderer(options);
+    case "auto":
+    case undefined:
+    case null:
+      return options.plantumlJar || options.plantumlCommand
+        ? createLocalRenderer(options)
+        : createServerRenderer(options);
+    default:
+      throw new Error(`Unknown PlantUML renderer: ${renderer}`);
+  }
+}
+
+module.exports = {
+  createRenderer,
+  createLocalRenderer,
+  createServerRenderer,
+  fetchPlantUMLImage,
+  plantumlServerUrl
+};
@@ -0,0 +1,303 @@
+const { escapeAttribute } = require("./html");
+
+/**
+ * Removes the XML declaration, doctype and anything else before the <svg> root
+ * @param {string} svg - SVG document
+ * @returns {string} - SVG markup that can be embedded in HTML
+ */
+function stripProlog(svg) {
+  const start = svg.search(/<svg[\s>]/);
+  return (start === -1 ? svg : svg.slice(start)).trim();
+}
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Prefixes every element ID and every local reference to it, so several
+ * inlined diagrams can share one HTML page
+ * @param {string} svg - SVG markup
+ * @param {string} prefix - Prefix added to each ID
+ * @returns {string} - SVG markup with unique IDs
+ */
+function uniquifyIds(svg, prefix) {
+  const ids = new Set();
+  const idRegex = /\sid="([^"]+)"/g;
+  let match;
+
+  while ((match = idRegex.exec(svg)) !== null) {
+    ids.add(match[1]);
+  }
+
+  let result = svg;
+  for (const id of ids) {
+    const escaped = escapeRegExp(id);
+    result = result
+      .replace(new RegExp(`(\\sid=")${escaped}"`, "g"), `$1${prefix}${id}"`)
+      .replace(new RegExp(`(\\s(?:xlink:)?href=")#${escaped}"`, "g"), `$1#${prefix}${id}"`)
+      .replace(new RegExp(`url\\(#${escaped}\\)`, "g"), `url(#${prefix}${id})`);
+  }
+  return result;
+}
+
+/**
+ * Turns a rendered SVG document into markup for an inline `html` node
+ * @param {string} svg - SVG document as rendered by PlantUML
+ * @param {Object} options - `idPrefix` for element IDs, `label` for the accessible name
+ *   and `properties` (id, className, width, height, aria-describedby) for the root element
+ * @returns {string} - SVG markup
+ */
+function inlineSvg(svg, { idPrefix, label, properties = {} }) {
+  let markup = uniquifyIds(stripProlog(svg), idPrefix);
+  const rootAttributes = [];
+
+  if (label) {
+    rootAttributes.push(`role="img"`, `aria-label="${escapeAttribute(label)}"`);
+  }
+  if (properties.className) {
+    rootAttributes.push(`class="${escapeAttribute(properties.className.join(" "))}"`);
+  }
+
+  // Attributes given on the code fence replace the ones PlantUML wrote
+  for (const name of ["id", "width", "height", "aria-describedby"]) {
+    if (properties[name] === undefined) continue;
+    markup = markup.replace(new RegExp(`^(<svg[^>]*?)\\s${name}="[^"]*"`), "$1");
+    rootAttributes.push(`${name}="${escapeAttribute(properties[name])}"`);
+  }
+
+  if (rootAttributes.length > 0) {
+    markup = markup.replace(/^<svg/, `<svg ${rootAttributes.join(" ")}`);
+  }
+
+  // A blank line would end the HTML block when the markdown is parsed again
+  return markup.replace(/\n\s*\n/g, "\n");
+}
+
+// Bumped when a built-in step changes its output, so images processed by the old one are processed again
+const PROCESSING_VERSION = 3;
+
+// Used with `svgProcessing: true`; an object turns single steps off
+const DEFAULT_PROCESSING = {
+  sanitize: true,
+  removeSource: true,
+  responsive: true,
+  minify: true,
+  transforms: []
+};
+
+/**
+ * Turns on the `sanitize` step of an `svgProcessing` option, leaving the
+ * other steps as the option has them
+ * @param {boolean|Object} processing - `svgProcessing` option
+ * @returns {Object} - `svgProcessing` option that sanitizes
+ */
+function withSanitize(processing) {
+  if (!processing) {
+    return { sanitize: true, removeSource: false, responsive: false, minify: false };
+  }
+  return { ...(typeof processing === "object" ? processing : {}), sanitize: true };
+}
+
+/**
+ * Resolves the `svgProcessing` option
+ * @param {boolean|Object} processing - `true` for every step, or an object with steps to turn off and `transforms`
+ * @returns {Object|null} - Processing settings, or null to keep SVGs as rendered
+ */
+function svgProcessingSettings(processing) {
+  if (!processing) return null;
+  return { ...DEFAULT_PROCESSING, ...(typeof processing === "object" ? processing : {}) };
+}
+
+// Elements that run scripts or embed other documents
+const UNSAFE_ELEMENTS = ["script", "foreignObject", "iframe", "embed", "object", "handler"];
+// Elements that can set an attribute, such as a link, after the SVG was sanitized
+const ANIMATION_ELEMENTS = ["set", "animate", "animateMotion", "animateTransform", "animateColor"];
+// Properties holding URLs, as named in hast
+const URL_PROPERTIES = ["href", "xLinkHref", "src", "action", "formAction"];
+// The `<?plantuml-src ?>` instruction as HTML parsing leaves it, a comment with the question marks inside
+const SOURCE_COMMENT_REGEX = /^\?plantuml-src [^<>]*\?$/;
+
+/**
+ * Whether a URL runs script when followed. Browsers ignore whitespace and
+ * control characters in the scheme, so they are ignored here too.
+ * @param {*} value - Attribute value, entities already decoded
+ * @returns {boolean} - Whether the URL is a javascript:, vbscript: or HTML data URL
+ */
+function isScriptUrl(value) {
+  const url = [...String(value)]
+    .filter(character => character > " ")
+    .join("")
+    .toLowerCase();
+  return /^(?:javascript|vbscript):/.test(url) || url.startsWith("data:text/html");
+}
+
+/**
+ * Whether an element is dropped when sanitizing
+ * @param {Object} node - hast element
+ * @returns {boolean} - Whether the element can run script
+ */
+function isUnsafeElement(node) {
+  if (UNSAFE_ELEMENTS.includes(node.tagName)) return true;
+  if (!ANIMATION_ELEMENTS.includes(node.tagName)) return false;
+  // Animating a link or an event handler would bring back what the attributes lost
+  const target = String(node.properties.attributeName || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^xlink:/, "");
+  return target === "href" || target.startsWith("on");
+}
+
+/**
+ * Removes script-capable elements and attributes, and comments, below a hast
+ * node. The `<?plantuml-src ?>` instruction, which HTML parsing turns into a
+ * comment, is written back as it was, as long as it holds nothing but the
+ * encoded source.
+ * @param {Object} node - hast parent
+ */
+function sanitizeChildren(node) {
+  node.children = node.children
+    .filter(child => child.type !== "element" || !isUnsafeElement(child))
+    .filter(child => child.type !== "comment" || SOURCE_COMMENT_REGEX.test(child.value))
+    .map(child => {
+      if (child.type === "comment") return { type: "raw", value: `<${child.value}>` };
+      if (child.type !== "element") return child;
+
+      for (const [name, value] of Object.entries(child.properties)) {
+        if (/^on/i.test(name) || (URL_PROPERTIES.includes(name) && isScriptUrl(value))) {
+          delete child.properties[name];
+        }
+      }
+      sanitizeChildren(child);
+      return child;
+    });
+}
+
+/**
+ * Removes scripts, elements that can embed HTML, event handler attributes,
+ * script URLs, animations of links and comments, so the SVG can be inlined
+ * into a page safely. The markup is parsed the way a browser parses inline
+ * SVG, so entities, unquoted values and `>` inside attribute values are seen
+ * as the browser sees them. Text is written back as UTF-8, and the XML
+ * declaration says so.
+ * @param {string} svg - SVG document
+ * @returns {Promise<string>} - SVG without script-capable content
+ */
+async function sanitizeSvg(svg) {
+  const [{ fromHtml }, { toHtml }] = await Promise.all([import("hast-util-from-html"), import("hast-util-to-html")]);
+
+  // The XML declaration and doctype are kept, apart from the encoding
+  const start = Math.max(svg.search(/<svg[\s>]/i), 0);
+  const prolog = svg.slice(0, start).replace(/(<\?xml\b[^>]*\bencoding\s*=\s*)(["'])[^"']*\2/, "$1$2UTF-8$2");
+  const tree = fromHtml(svg.slice(start), { fragment: true });
+  sanitizeChildren(tree);
+
+  return prolog + toHtml(tree, { allowDangerousHtml: true, closeEmptyElements: true, tightSelfClosing: true });
+}
+
+/**
+ * Removes comments and the `<?plantuml-src ?>` instruction, in which
+ * PlantUML embeds the diagram source
+ * @param {string} svg - SVG document
+ * @returns {string} - SVG without the embedded source
+ */
+function removeSource(svg) {
+  return svg.replace(/<!--[\s\S]*?--!?>/g, "").replace(/<\?plantuml-src[\s\S]*?\?>/g, "");
+}
+
+/**
+ * Replaces the fixed width and height of the root element with a `viewBox`,
+ * so the image scales with the element it is shown in
+ * @param {string} svg - SVG document
+ * @returns {string} - SVG that keeps its aspect ratio at any size
+ */
+function makeResponsive(svg) {
+  return svg.replace(/<svg\b[^>]*>/, root => {
+    const size = name => {
+      const match = root.match(new RegExp(`\\s${name}="([\\d.]+)(?:px)?"`));
+      return match ? match[1] : null;
+    };
+    const width = size("width");
+    const height = size("height");
+
+    let result = root
+      .replace(/\s(?:width|height|preserveAspectRatio)="[^"]*"/g, "")
+      .replace(/\sstyle="([^"]*)"/, (attribute, style) => {
+        const rest = style
+          .split(";")
+          .filter(rule => rule.trim() && !/^\s*(?:width|height)\s*:/i.test(rule))
+          .join(";");
+        return rest ? ` style="${rest};"` : "";
+      });
+
+    if (!/\sviewBox="/.test(result) && width && height) {
+      result = result.replace(/^<svg/, `<svg viewBox="0 0 ${width} ${height}"`);
+    }
+    return result;
+  });
+}
+
+/**
+ * Removes the XML prolog and the whitespace between elements
+ * @param {string} svg - SVG document
+ * @returns {string} - Smaller SVG document
+ */
+function minifySvg(svg) {
+  return stripProlog(svg)
+    .replace(/>\s+</g, "><")
+    .trim();
+}
+
+/**
+ * Post-processes a rendered SVG: the enabled built-in steps run first, then
+ * the `transforms` of the settings, each getting the result of the one before
+ * @param {string} svg - SVG document as rendered by PlantUML
+ * @param {Object} settings - Settings from `svgProcessingSettings`
+ * @param {Object} [context] - Passed to the transforms, e.g. `{ code }` with the PlantUML code
+ * @returns {Promise<string>} - Processed SVG document
+ */
+async function processSvg(svg, settings, context = {}) {
+  let result = svg;
+  if (settings.removeSource) result = removeSource(result);
+  if (settings.sanitize) result = await sanitizeSvg(result);
+  if (settings.responsive) result = makeResponsive(result);
+  if (settings.minify) result = minifySvg(result);
+
+  for (const transform of settings.transforms) {
+    result = await transform(result, context);
+    if (typeof result !== "string") {
+      throw new Error("SVG transforms must return the SVG as a string");
+    }
+  }
+  return result;
+}
+
+/**
+ * Describes the processing settings for the cache key, so changing them renders the images again
+ * @param {Object|null} settings - Settings from `svgProcessingSettings`
+ * @returns {Array|null} - Enabled steps and the source of each transform
+ */
+function svgProcessingKey(settings) {
+  if (!settings) return null;
+  const steps = Object.keys(DEFAULT_PROCESSING).filter(step => step !== "transforms" && settings[step]);
+  return [PROCESSING_VERSION, steps, settings.transforms.map(String)];
+}
+
+module.exports = {
+  inlineSvg,
+  makeResponsive,
+  minifySvg,
+  processSvg,
+  removeSource,
+  sanitizeSvg,
+  stripProlog,
+  svgProcessingKey,
+  svgProcessingSettings,
+  uniquifyIds,
+  withSanitize
+};
@@ -0,0 +1,27 @@
+// Used with `themes: true`
+const DEFAULT_THEMES = {
+  light: "", // PlantUML's own look
+  dark: "!theme cyborg"
+};
+
+const DARK_MEDIA = "(prefers-color-scheme: dark)";
+
+/**
+ * Resolves the `themes` option into the variants every diagram is rendered in
+ * @param {boolean|Object} themes - `true`, or an object with `light` and `dark` preambles
+ * @returns {Object[]} - `{ name, preamble, media }` for each variant; the first one is the default image
+ */
+function themeVariants(themes) {
+  if (!themes) return [{ name: "default", preamble: "", media: null }];
+
+  const settings = { ...DEFAULT_THEMES, ...(typeof themes === "object" ? themes : {}) };
+  const preamble = value => (Array.isArray(value) ? value.join("\n") : value || "");
+  return [
+    { name: "light", preamble: preamble(settings.light), media: null },
+    { name: "dark", preamble: preamble(settings.dark), media: DARK_MEDIA }
+  ];
+}
+
+module.exports = {
+  themeVariants
+};
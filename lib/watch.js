@@ -0,0 +1,111 @@
+const EventEmitter = require("events");
+const chokidar = require("chokidar");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Returns the existing directories to watch for a set of dependencies:
+ * the directory each file is in, so files that do not exist yet are noticed
+ * when they are created, and directories included with `!includedir`
+ * @param {Set<string>} files - Files and directories diagrams depend on
+ * @returns {Set<string>} - Directories
+ */
+function watchedDirectories(files) {
+  const directories = new Set();
+  for (const file of files) {
+    for (const candidate of [file, path.dirname(file)]) {
+      try {
+        if (fs.statSync(candidate).isDirectory()) directories.add(candidate);
+      } catch (error) {
+        // A missing directory cannot be watched; it is picked up once a document that needs it is processed again
+      }
+    }
+  }
+  return directories;
+}
+
+/**
+ * Watches the files recorded in a dependency graph and renders the affected
+ * diagrams again when one of them changes.
+ *
+ * Emits `change` with `{ file, documents, diagrams }` once the affected
+ * diagrams are rendered, where `documents` are the markdown files to process
+ * again and `diagrams` holds `{ document, line, output, error }` for each
+ * diagram: `output` is the new filename (or server URL) and `error` is set
+ * when the diagram cannot be rendered any more. Emits `ready` when the
+ * initial files are watched.
+ */
+class DiagramWatcher extends EventEmitter {
+  /**
+   * @param {DependencyGraph} graph - Graph filled by the plugin's `dependencyGraph` option
+   * @param {Object} [watchOptions] - Options passed to chokidar
+   */
+  constructor(graph, watchOptions = {}) {
+    super();
+    this.graph = graph;
+    this.watched = watchedDirectories(graph.files());
+    this.watcher = chokidar.watch([...this.watched], { ignoreInitial: true, ...watchOptions, depth: 0 });
+    this.watcher.on("all", (event, file) => {
+      if (event === "add" || event === "change" || event === "unlink") {
+        this.handleChange(path.resolve(file));
+      }
+    });
+
+    // chokidar never gets ready without paths to watch
+    if (this.watched.size > 0) {
+      this.watcher.once("ready", () => this.emit("ready"));
+    } else {
+      process.nextTick(() => this.emit("ready"));
+    }
+
+    // Documents processed later add the files they include
+    this.sync = () => this.syncFiles();
+    graph.on("update", this.sync);
+  }
+
+  /**
+   * Watches the directories of new dependencies and stops watching the rest
+   */
+  syncFiles() {
+    const directories = watchedDirectories(this.graph.files());
+    const added = [...directories].filter(directory => !this.watched.has(directory));
+    const removed = [...this.watched].filter(directory => !directories.has(directory));
+    if (added.length > 0) this.watcher.add(added);
+    if (removed.length > 0) this.watcher.unwatch(removed);
+    this.watched = directories;
+  }
+
+  /**
+   * Renders the diagrams depending on a changed file again
+   * @param {string} file - Absolute path of the changed file
+   * @returns {Promise<void>}
+   */
+  async handleChange(file) {
+    const affected = this.graph.dependents(file);
+    if (affected.length === 0) return;
+
+    const diagrams = await Promise.all(
+      affected.map(async diagram => {
+        const { output, error, dependencies } = await diagram.rerender();
+        this.graph.updateDiagram(diagram, dependencies);
+        return { document: diagram.document, line: diagram.line, output, error };
+      })
+    );
+
+    const documents = [...new Set(diagrams.map(diagram => diagram.document))];
+    this.emit("change", { file, documents, diagrams });
+  }
+
+  /**
+   * Stops watching
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.graph.off("update", this.sync);
+    return this.watcher.close();
+  }
+}
+
+module.exports = {
+  DiagramWatcher
+};
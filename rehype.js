@@ -0,0 +1,5 @@
+/**
+ * rehype plugin rendering `<pre><code class="language-plantuml">` elements,
+ * for `require("remark-plantuml-local/rehype")`
+ */
+module.exports = require("./index").rehype;
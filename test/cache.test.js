@@ -0,0 +1,78 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+
+const stubPlantuml = path.resolve(__dirname, "./resources/bin/plantuml");
+
+describe("Cache", () => {
+  const outputDir = path.resolve(__dirname, "./static/cache");
+  const fakePng = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+  const input = ["```plantuml", "class CacheKeyTest", "```"].join("\n");
+
+  function countingFetch(body = fakePng) {
+    const fetchImpl = async () => {
+      fetchImpl.calls++;
+      return { ok: true, buffer: async () => body };
+    };
+    fetchImpl.calls = 0;
+    return fetchImpl;
+  }
+
+  async function renderedFilename(options) {
+    const output = await remark()
+      .use(plugin, { outputDir, ...options })
+      .process(input);
+    const match = output.toString().match(/plantuml-[0-9a-f]+\.\w+/);
+    return match && match[0];
+  }
+
+  beforeEach(async () => {
+    await fsExtra.remove(outputDir);
+  });
+
+  afterEach(() => {
+    delete process.env.STUB_PLANTUML_VERSION;
+  });
+
+  it("should use a different filename for another server or format", async () => {
+    const fetchImpl = countingFetch();
+    const first = await renderedFilename({ baseUrl: "https://one.example/plantuml", fetch: fetchImpl });
+    const second = await renderedFilename({ baseUrl: "https://two.example/plantuml", fetch: fetchImpl });
+
+    chai.assert.notEqual(first, second);
+    chai.assert.equal(fetchImpl.calls, 2, "The second server should not get the first server's image");
+  });
+
+  it("should use a different filename for another local PlantUML version", async () => {
+    process.env.STUB_PLANTUML_VERSION = "1.2023.0";
+    const older = await renderedFilename({ plantumlCommand: stubPlantuml });
+
+    process.env.STUB_PLANTUML_VERSION = "1.2024.0";
+    const newer = await renderedFilename({ plantumlCommand: stubPlantuml });
+
+    chai.assert.notEqual(older, newer);
+  });
+
+  it("should render again when the cached file is damaged", async () => {
+    const fetchImpl = countingFetch();
+    const filename = await renderedFilename({ fetch: fetchImpl });
+
+    await fsExtra.writeFile(path.join(outputDir, filename), fakePng.subarray(0, 4));
+    chai.assert.equal(await renderedFilename({ fetch: fetchImpl }), filename);
+    chai.assert.equal(fetchImpl.calls, 2, "The damaged file should not count as a cache hit");
+    chai.assert.deepEqual(await fsExtra.readFile(path.join(outputDir, filename)), fakePng);
+
+    await renderedFilename({ fetch: fetchImpl });
+    chai.assert.equal(fetchImpl.calls, 2, "The repaired file should be a cache hit");
+  });
+
+  it("should not save incomplete images or leave temporary files behind", async () => {
+    const truncatedSvg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><rect', "utf8");
+    const filename = await renderedFilename({ outputFormat: "svg", fetch: countingFetch(truncatedSvg) });
+
+    chai.assert.isNull(filename, "The block should fall back to the server URL");
+    chai.assert.deepEqual(await fsExtra.readdir(outputDir), []);
+  });
+});
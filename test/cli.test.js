@@ -0,0 +1,159 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { findFiles, run } = require("../lib/cli");
+
+describe("Command line", function() {
+  this.timeout(10000);
+
+  const workDir = path.resolve(__dirname, "./static/cli");
+  const stubPlantuml = path.resolve(__dirname, "./resources/bin/plantuml");
+
+  function diagram(code) {
+    return ["# Doc", "", "```plantuml", code, "```", ""].join("\n");
+  }
+
+  async function cli(...argv) {
+    const output = { stdout: "", stderr: "" };
+    const io = {
+      cwd: workDir,
+      stdout: { write: text => (output.stdout += text) },
+      stderr: { write: text => (output.stderr += text) }
+    };
+    output.code = await run(argv, io);
+    return output;
+  }
+
+  async function images() {
+    const dir = path.join(workDir, "out");
+    return (await fsExtra.pathExists(dir)) ? (await fsExtra.readdir(dir)).filter(name => name.endsWith(".svg")) : [];
+  }
+
+  beforeEach(async () => {
+    await fsExtra.emptyDir(workDir);
+    await fsExtra.outputJson(path.join(workDir, "plantuml.config.json"), {
+      outputDir: "out",
+      outputFormat: "svg",
+      plantumlCommand: stubPlantuml
+    });
+    await fsExtra.outputFile(path.join(workDir, "docs", "a.md"), diagram("class A"));
+    await fsExtra.outputFile(path.join(workDir, "docs", "sub", "b.md"), diagram("!include shared.puml"));
+    await fsExtra.outputFile(path.join(workDir, "docs", "sub", "shared.puml"), "class Shared");
+    await fsExtra.outputFile(path.join(workDir, "node_modules", "dep", "readme.md"), diagram("class Dependency"));
+  });
+
+  after(async () => {
+    await fsExtra.remove(workDir);
+  });
+
+  it("should match globs, relative or absolute", async () => {
+    chai.assert.deepEqual(await findFiles(["docs/*.{md,markdown}"], workDir), [path.join("docs", "a.md")]);
+    chai.assert.deepEqual(await findFiles(["docs/**/@(b|c).md"], workDir), [path.join("docs", "sub", "b.md")]);
+    chai.assert.deepEqual(await findFiles([path.join(workDir, "docs/**/*.md")], workDir), [
+      path.join("docs", "a.md"),
+      path.join("docs", "sub", "b.md")
+    ]);
+    chai.assert.deepEqual(await findFiles(["*.md"], path.join(workDir, "docs")), ["a.md"]);
+  });
+
+  it("should fail on patterns it cannot read", async () => {
+    const error = await findFiles(["docs/*[ab.md"], workDir).catch(e => e);
+    chai.assert.instanceOf(error, Error);
+
+    const { code, stderr } = await cli("docs/*[ab.md");
+    chai.assert.equal(code, 2);
+    chai.assert.include(stderr, "Missing closing");
+  });
+
+  it("should find markdown files outside node_modules", async () => {
+    chai.assert.deepEqual(await findFiles(["**/*.md"], workDir), [
+      path.join("docs", "a.md"),
+      path.join("docs", "sub", "b.md")
+    ]);
+    chai.assert.deepEqual(await findFiles(["docs/sub", "docs/a.md"], workDir), [
+      path.join("docs", "a.md"),
+      path.join("docs", "sub", "b.md")
+    ]);
+  });
+
+  it("should render the diagrams of all markdown files with the config file options", async () => {
+    const { code, stdout } = await cli();
+
+    chai.assert.equal(code, 0);
+    chai.assert.include(stdout, "Processed 2 markdown files");
+    chai.assert.lengthOf(await images(), 2);
+
+    const svgs = await Promise.all(
+      (await images()).map(name => fsExtra.readFile(path.join(workDir, "out", name), "utf8"))
+    );
+    chai.assert.isTrue(
+      svgs.some(svg => svg.includes("class Shared")),
+      "Includes are resolved next to each document"
+    );
+  });
+
+  it("should fail the check on render and include problems", async () => {
+    chai.assert.equal((await cli("--check")).code, 0);
+
+    await fsExtra.outputFile(path.join(workDir, "docs", "broken.md"), diagram("!include missing.puml\nsyntax error"));
+    const { code, stderr } = await cli("--check", "docs");
+
+    chai.assert.equal(code, 1);
+    chai.assert.include(stderr, `${path.join("docs", "broken.md")}:4:1  warning  Cannot include missing.puml`);
+    chai.assert.include(stderr, `${path.join("docs", "broken.md")}:3:1  warning  Cannot render PlantUML diagram`);
+    chai.assert.include(stderr, "2 problems found");
+  });
+
+  it("should prune images no markdown file references", async () => {
+    await cli();
+    await fsExtra.writeFile(path.join(workDir, "docs", "a.md"), diagram("class Changed"));
+
+    const dryRun = await cli("--prune", "--dry-run");
+    chai.assert.include(dryRun.stdout, "Would remove");
+    chai.assert.lengthOf(await images(), 3);
+
+    const { code, stdout } = await cli("--prune");
+    chai.assert.equal(code, 0);
+    chai.assert.include(stdout, "1 unreferenced image");
+    chai.assert.lengthOf(await images(), 2);
+  });
+
+  it("should prune every image of a tree without diagrams", async () => {
+    await cli();
+    await fsExtra.writeFile(path.join(workDir, "docs", "a.md"), "# No diagrams");
+    await fsExtra.remove(path.join(workDir, "docs", "sub"));
+    await fsExtra.remove(path.join(workDir, "out", "plantuml-manifest.json"));
+
+    const { code, stdout } = await cli("--prune", "docs");
+    chai.assert.equal(code, 0);
+    chai.assert.include(stdout, "2 unreferenced images");
+    chai.assert.lengthOf(await images(), 0);
+  });
+
+  it("should report a failed prune without a stack trace", async () => {
+    await fsExtra.outputJson(path.join(workDir, "out", "plantuml-manifest.json"), { version: 99 });
+
+    const { code, stderr } = await cli("--prune");
+    chai.assert.equal(code, 1);
+    chai.assert.match(stderr, /^Cannot prune: Unsupported PlantUML manifest: .*plantuml-manifest\.json$/m);
+    chai.assert.notMatch(stderr, /^\s+at /m);
+  });
+
+  it("should reject unknown options and report usage", async () => {
+    const { code, stderr } = await cli("--frobnicate");
+    chai.assert.equal(code, 2);
+    chai.assert.include(stderr, "Unknown option: --frobnicate");
+    chai.assert.include(stderr, "Usage: remark-plantuml-local");
+  });
+
+  it("should load a config file given on the command line", async () => {
+    await fsExtra.outputFile(
+      path.join(workDir, "other.config.js"),
+      `module.exports = { outputDir: "other", outputFormat: "svg", plantumlCommand: ${JSON.stringify(stubPlantuml)} };`
+    );
+    const { code } = await cli("--config", "other.config.js", "docs/a.md");
+
+    chai.assert.equal(code, 0);
+    chai.assert.lengthOf(await fsExtra.readdir(path.join(workDir, "other")), 1);
+  });
+});
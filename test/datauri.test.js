@@ -0,0 +1,53 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { PNG, htmlProcessor, recordingRenderer } = require("./helpers");
+const { dataUrl } = require("../lib/formats");
+
+describe("Data URIs", () => {
+  const outputDir = path.resolve(__dirname, "./static/datauri");
+  const renderer = recordingRenderer({ record: call => call.format });
+  const { rendered } = renderer;
+  const toHtml = htmlProcessor({ outputDir, renderer });
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  function processHtml(options, meta = "alt=Login") {
+    const input = [`\`\`\`plantuml ${meta}`, "Alice -> Bob", "```"].join("\n");
+    return toHtml(input, options).then(String);
+  }
+
+  it("should encode PNG as base64 and SVG as readable text", () => {
+    chai.assert.equal(dataUrl(PNG, "png"), "data:image/png;base64,iVBORw0KGgo=");
+    chai.assert.equal(
+      dataUrl(Buffer.from('<svg a="b c">#</svg>'), "svg"),
+      "data:image/svg+xml,%3Csvg%20a=%22b%20c%22%3E%23%3C/svg%3E"
+    );
+  });
+
+  it("should embed the image instead of pointing at the server", async () => {
+    const output = await processHtml({ dataUri: true, inlineImage: true });
+
+    chai.assert.match(output, /^<img src="data:image\/png;base64,[A-Za-z0-9+/=]+" alt="Login">$/);
+    chai.assert.deepEqual(rendered, ["png"]);
+
+    const svg = await processHtml({ dataUri: true, outputFormat: "svg" });
+    chai.assert.include(svg, 'src="data:image/svg+xml,%3Csvg%20xmlns=%22http://www.w3.org/2000/svg%22%3E');
+  });
+
+  it("should keep images above the size limit as files", async () => {
+    const output = await processHtml({ dataUri: true, dataUriLimit: 8 });
+    chai.assert.match(output, /^<img src="\/plantuml-[0-9a-f]{64}\.png" alt="Login">$/);
+  });
+
+  it("should embed every variant of a picture", async () => {
+    const output = await processHtml({ outputFormats: ["svg", "png"], scales: [1, 2] }, "alt=Login dataUri=true");
+
+    chai.assert.include(output, '<source type="image/svg+xml" srcset="data:image/svg+xml,');
+    chai.assert.match(output, /srcset="data:image\/png;base64,\S+ 1x, data:image\/png;base64,\S+ 2x"/);
+    chai.assert.notInclude(output, "plantuml-");
+  });
+});
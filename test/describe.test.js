@@ -0,0 +1,112 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { htmlProcessor, recordingRenderer } = require("./helpers");
+const { descriptionSettings, diagramSummary, diagramTitle } = require("../lib/describe");
+
+describe("Descriptions", () => {
+  const outputDir = path.resolve(__dirname, "./static/describe");
+
+  const renderer = recordingRenderer({
+    record: call => call.format,
+    output: (call, count) =>
+      call.format === "txt"
+        ? "     ,-----.\n     |Alice|\n     `-----'\n"
+        : `<svg xmlns="http://www.w3.org/2000/svg"><text>${count}</text></svg>`
+  });
+  const { rendered } = renderer;
+  const toHtml = htmlProcessor({ outputDir, outputFormat: "svg", renderer });
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  function processHtml(code, options, meta = "") {
+    const input = [`\`\`\`plantuml ${meta}`.trim(), code, "```"].join("\n");
+    return toHtml(input, options);
+  }
+
+  const sequence = [
+    "@startuml",
+    "title Login <b>flow</b>",
+    'actor "End User" as U',
+    "participant Server",
+    "U -> Server : login(name)",
+    "Server --> U : token",
+    "@enduml"
+  ].join("\n");
+
+  it("should find the title or caption of a diagram", () => {
+    chai.assert.equal(diagramTitle(sequence), "Login flow");
+    chai.assert.equal(diagramTitle("caption Figure of **orders**\nA -> B"), "Figure of orders");
+    chai.assert.equal(diagramTitle("title\nFirst line\nsecond line\nend title\nA -> B"), "First line second line");
+    chai.assert.isNull(diagramTitle("A -> B"));
+  });
+
+  it("should summarize participants, classes and relations", () => {
+    chai.assert.deepEqual(diagramSummary(sequence), [
+      "Participants: End User, Server",
+      "End User to Server: login(name)",
+      "Server to End User: token"
+    ]);
+    chai.assert.deepEqual(
+      diagramSummary(
+        ["class Order<T> {", "}", "interface Payable", "Payable <|.. Order", 'Order "1" *-- "many" Line'].join("\n")
+      ),
+      ["Classes: Order, Payable", "Order to Payable", "Order and Line"]
+    );
+    chai.assert.deepEqual(diagramSummary("[*] --> Idle\nIdle --> [*]"), ["start to Idle", "Idle to end"]);
+    chai.assert.deepEqual(diagramSummary("skinparam monochrome true"), []);
+  });
+
+  it("should reject unknown description settings", () => {
+    chai.assert.isNull(descriptionSettings(false));
+    chai.assert.equal(descriptionSettings("txt").source, "txt");
+    chai.assert.throws(() => descriptionSettings("png"), "Unknown description source: png");
+    chai.assert.throws(() => descriptionSettings({ element: "aside" }), "Unknown description element: aside");
+  });
+
+  it("should take the alt text from the diagram title", async () => {
+    const output = String(await processHtml(sequence, {}));
+    chai.assert.include(output, 'alt="Login flow"');
+
+    const explicit = String(await processHtml(sequence, {}, "alt=Sign-in"));
+    chai.assert.include(explicit, 'alt="Sign-in"', "Alt text on the code fence wins");
+  });
+
+  it("should add the summary in a details element", async () => {
+    const output = String(await processHtml(sequence, { description: true }));
+
+    chai.assert.match(output, /^<div class="plantuml-diagram"><img [^>]*alt="Login flow"[^>]*><details/);
+    chai.assert.include(
+      output,
+      '<details class="plantuml-description"><summary>Diagram description</summary><ul><li>Participants: End User, Server</li>'
+    );
+  });
+
+  it("should reference a hidden ASCII art description with aria-describedby", async () => {
+    const output = String(await processHtml(sequence, { description: { source: "txt", element: "describedby" } }));
+
+    const id = output.match(/aria-describedby="([^"]+)"/)[1];
+    chai.assert.include(output, `<div id="${id}" class="plantuml-description" hidden><pre>`);
+    chai.assert.include(output, "|Alice|");
+    chai.assert.sameMembers(rendered, ["txt", "svg"]);
+  });
+
+  it("should keep the image when the description cannot be rendered", async () => {
+    const failing = {
+      name: "failing-txt",
+      render: async (code, format) => {
+        if (format === "txt") throw new Error("no text output");
+        return Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+      }
+    };
+    const file = await processHtml(sequence, { renderer: failing, description: "txt" });
+
+    chai.assert.match(String(file), /^<img /);
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.equal(file.messages[0].ruleId, "description");
+    chai.assert.include(file.messages[0].reason, "no text output");
+  });
+});
@@ -0,0 +1,59 @@
+const chai = require("chai");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { htmlProcessor } = require("./helpers");
+
+describe("Error policy", () => {
+  const input = ["# Diagrams", "", "```plantuml", "class Broken {", "```"].join("\n");
+
+  // A server answering like PlantUML does for a syntax error
+  const fetchImpl = async () => ({
+    ok: false,
+    status: 400,
+    statusText: "Bad Request",
+    headers: new Map([["x-plantuml-diagram-error", "Syntax Error?"], ["x-plantuml-diagram-error-line", "2"]]),
+    buffer: async () => Buffer.alloc(0)
+  });
+
+  const toHtml = htmlProcessor({ outputDir: "./test/static", fetch: fetchImpl });
+  const processHtml = onError => toHtml(input, onError ? { onError } : {});
+
+  it("should fall back to the server URL by default", async () => {
+    const output = await processHtml();
+    chai.assert.include(output.toString(), '<img src="https://www.plantuml.com/plantuml/png/');
+  });
+
+  it("should reject the transform with a positioned error when set to fail", async () => {
+    try {
+      await processHtml("fail");
+      chai.assert.fail("Processing should have failed");
+    } catch (error) {
+      chai.assert.include(error.reason, "Cannot render PlantUML diagram");
+      chai.assert.include(error.reason, "line 2: Syntax Error?");
+      chai.assert.equal(error.line, 3);
+      chai.assert.equal(error.column, 1);
+      chai.assert.isTrue(error.fatal);
+    }
+  });
+
+  it("should leave the code block in place when set to keep-code", async () => {
+    const output = await remark()
+      .use(plugin, { outputDir: "./test/static", onError: "keep-code", figures: true, fetch: fetchImpl })
+      .process(input);
+
+    chai.assert.include(output.toString(), "```plantuml\nclass Broken {\n```");
+  });
+
+  it("should show the PlantUML error in a placeholder when set to placeholder", async () => {
+    const output = await processHtml("placeholder");
+    const htmlOutput = output.toString();
+
+    chai.assert.include(htmlOutput, '<div class="plantuml-error" role="alert">');
+    chai.assert.include(htmlOutput, "400 Bad Request (line 2: Syntax Error?)");
+    chai.assert.notInclude(htmlOutput, "<img");
+  });
+
+  it("should reject unknown policies", () => {
+    chai.assert.throws(() => remark().use(plugin, { onError: "ignore" }).freeze(), /Unknown onError policy/);
+  });
+});
@@ -0,0 +1,125 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const http = require("http");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { PNG } = require("./helpers");
+const { createLimiter } = require("../lib/limit");
+
+describe("Fetching", () => {
+  const outputDir = path.resolve(__dirname, "./static/fetch");
+  let server;
+  let baseUrl;
+  let handler;
+
+  before(done => {
+    server = http.createServer((request, response) => handler(request, response));
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/plantuml`;
+      done();
+    });
+  });
+
+  after(done => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    await fsExtra.remove(outputDir);
+  });
+
+  function diagrams(...names) {
+    return names.map(name => ["```plantuml", `class ${name}`, "```"].join("\n")).join("\n\n");
+  }
+
+  it("should retry rate limited and failing requests", async () => {
+    const statuses = [429, 503];
+    let requests = 0;
+    handler = (request, response) => {
+      requests++;
+      const status = statuses.shift();
+      if (status) {
+        response.writeHead(status);
+        response.end();
+        return;
+      }
+      response.end(PNG);
+    };
+
+    const output = await remark()
+      .use(plugin, { baseUrl, outputDir, retryDelay: 10 })
+      .process(diagrams("RetryTest"));
+
+    chai.assert.equal(requests, 3);
+    chai.assert.include(output.toString(), "(/plantuml-");
+  });
+
+  it("should not retry client errors", async () => {
+    let requests = 0;
+    handler = (request, response) => {
+      requests++;
+      response.writeHead(400);
+      response.end();
+    };
+
+    const output = await remark()
+      .use(plugin, { baseUrl, outputDir, retryDelay: 10 })
+      .process(diagrams("BadRequestTest"));
+
+    chai.assert.equal(requests, 1);
+    chai.assert.include(output.toString(), `${baseUrl}/png/`, "Should fall back to the server URL");
+  });
+
+  it("should give up on a request that hangs", async () => {
+    let requests = 0;
+    handler = () => {
+      requests++;
+    };
+
+    const started = Date.now();
+    const output = await remark()
+      .use(plugin, { baseUrl, outputDir, timeout: 50, retries: 1, retryDelay: 10 })
+      .process(diagrams("HangingTest"));
+
+    chai.assert.equal(requests, 2, "A timeout should be retried");
+    chai.assert.isBelow(Date.now() - started, 1000);
+    chai.assert.include(output.toString(), `${baseUrl}/png/`);
+  });
+
+  it("should limit concurrent renders across all documents of a processor", async () => {
+    let active = 0;
+    let maxActive = 0;
+    handler = (request, response) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      setTimeout(() => {
+        active--;
+        response.end(PNG);
+      }, 20);
+    };
+
+    const processor = remark().use(plugin, { baseUrl, outputDir, concurrency: 2 });
+    await Promise.all([
+      processor.process(diagrams("A1", "A2", "A3")),
+      processor.process(diagrams("B1", "B2", "B3"))
+    ]);
+
+    chai.assert.equal(maxActive, 2);
+  });
+
+  it("should run queued tasks in order once a slot is free", async () => {
+    const limit = createLimiter(1);
+    const order = [];
+
+    await Promise.all([
+      limit(async () => order.push(1)),
+      limit(async () => {
+        throw new Error("Failed task");
+      }).catch(() => order.push(2)),
+      limit(async () => order.push(3))
+    ]);
+
+    chai.assert.deepEqual(order, [1, 2, 3]);
+  });
+});
@@ -0,0 +1,74 @@
+const chai = require("chai");
+const { unified } = require("unified");
+const { remark } = require("remark");
+const remarkParse = require("remark-parse").default;
+const remarkRehype = require("remark-rehype").default;
+const html = require("rehype-stringify").default;
+const plugin = require("../index");
+const { PNG } = require("./helpers");
+
+describe("Figures", () => {
+  const fetchImpl = async () => ({ ok: true, buffer: async () => PNG });
+
+  const input = [
+    "The login ([@fig:login]) comes before the overview in [@fig:2].",
+    "",
+    '```plantuml title="Login flow" id=login',
+    "Alice -> Bob: login",
+    "```",
+    "",
+    "```plantuml",
+    "class Overview",
+    "```",
+    "",
+    "See [@fig:missing] for nothing."
+  ].join("\n");
+
+  it("should wrap diagrams in numbered figures with captions and resolve references", async () => {
+    const output = await unified()
+      .use(remarkParse)
+      .use(plugin, { outputDir: "./test/static", figures: true, fetch: fetchImpl })
+      .use(remarkRehype)
+      .use(html)
+      .process(input);
+
+    const htmlOutput = output.toString();
+
+    chai.assert.match(
+      htmlOutput,
+      /<figure id="fig-login"><img src="[^"]+" alt="Login flow" title="Login flow" id="login">\n<figcaption>Figure 1: Login flow<\/figcaption><\/figure>/
+    );
+    chai.assert.match(htmlOutput, /<figure id="fig-2"><img src="[^"]+">\n<figcaption>Figure 2<\/figcaption><\/figure>/);
+    chai.assert.include(htmlOutput, '(<a href="#fig-login">Figure 1</a>)');
+    chai.assert.include(htmlOutput, 'in <a href="#fig-2">Figure 2</a>.');
+    chai.assert.include(htmlOutput, "See [@fig:missing] for nothing.", "Unknown references should be left alone");
+  });
+
+  it("should use the configured label and id prefix", async () => {
+    const output = await remark()
+      .use(plugin, {
+        outputDir: "./test/static",
+        figures: { label: "Abbildung", idPrefix: "abb-" },
+        fetch: fetchImpl
+      })
+      .process(input);
+
+    const markdown = output.toString();
+
+    chai.assert.include(markdown, "*Abbildung 1: Login flow*");
+    chai.assert.include(markdown, "[Abbildung 1](#abb-login)");
+    chai.assert.include(markdown, "[Abbildung 2](#abb-2)");
+  });
+
+  it("should leave diagrams unwrapped by default", async () => {
+    const output = await unified()
+      .use(remarkParse)
+      .use(plugin, { outputDir: "./test/static", fetch: fetchImpl })
+      .use(remarkRehype)
+      .use(html)
+      .process(input);
+
+    chai.assert.notInclude(output.toString(), "<figure");
+    chai.assert.include(output.toString(), "[@fig:login]");
+  });
+});
@@ -0,0 +1,114 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const plugin = require("../index");
+const { htmlProcessor, recordingRenderer } = require("./helpers");
+const { formatVariants, srcset } = require("../lib/formats");
+
+describe("Formats", () => {
+  const outputDir = path.resolve(__dirname, "./static/formats");
+  const renderer = recordingRenderer({ record: ({ code, format }) => ({ code, format }) });
+  const { rendered } = renderer;
+  const toHtml = htmlProcessor({ outputDir, renderer });
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  function processHtml(options, meta = "alt=Login") {
+    const input = [`\`\`\`plantuml ${meta}`, "@startuml", "Alice -> Bob", "@enduml", "```"].join("\n");
+    return toHtml(input, options).then(String);
+  }
+
+  it("should render raster formats once per scale", () => {
+    chai.assert.deepEqual(formatVariants({ outputFormat: "png", outputFormats: ["svg", "png"], scales: [1, 2] }), [
+      { format: "svg", scale: 1 },
+      { format: "png", scale: 1 },
+      { format: "png", scale: 2 }
+    ]);
+    chai.assert.deepEqual(formatVariants({ outputFormat: "svg", outputFormats: null, scales: "1, 3" }), [
+      { format: "svg", scale: 1 }
+    ]);
+    chai.assert.throws(() => formatVariants({ outputFormat: "png", scales: [0] }), "Invalid scale: 0");
+  });
+
+  it("should build a srcset with pixel densities", () => {
+    chai.assert.equal(srcset([{ url: "/a.png", scale: 1 }]), "/a.png");
+    chai.assert.equal(
+      srcset([
+        { url: "/a.png", scale: 1 },
+        { url: "/b.png", scale: 2 }
+      ]),
+      "/a.png 1x, /b.png 2x"
+    );
+  });
+
+  it("should render an SVG with a PNG fallback", async () => {
+    const output = await processHtml({ outputFormats: ["svg", "png"] });
+
+    chai.assert.deepEqual(
+      rendered.map(({ format }) => format),
+      ["svg", "png"]
+    );
+    chai.assert.match(
+      output,
+      /^<picture><source type="image\/svg\+xml" srcset="\/plantuml-[0-9a-f]{64}\.svg"><img src="\/plantuml-[0-9a-f]{64}\.png" alt="Login"><\/picture>$/
+    );
+  });
+
+  it("should render high-DPI PNGs with a scale directive", async () => {
+    const output = await processHtml({ outputFormat: "png", scales: [1, 2, 3] });
+
+    chai.assert.sameMembers(
+      rendered.map(({ code }) => code),
+      [
+        "@startuml\nAlice -> Bob\n@enduml",
+        "@startuml\nscale 2\nAlice -> Bob\n@enduml",
+        "@startuml\nscale 3\nAlice -> Bob\n@enduml"
+      ]
+    );
+
+    const [src, ...set] = output.match(/plantuml-[0-9a-f]{64}\.png/g);
+    chai.assert.include(output, `<img src="/${src}" srcset="/${set[0]} 1x, /${set[1]} 2x, /${set[2]} 3x"`);
+    chai.assert.lengthOf(new Set(set), 3, "Each scale has its own hashed file");
+
+    await processHtml({ outputFormat: "png", scales: [1, 2, 3] });
+    chai.assert.lengthOf(rendered, 3, "Every scale should come from the cache the second time");
+  });
+
+  it("should put the dark theme sources before the default ones", async () => {
+    const output = await processHtml({ outputFormats: ["svg", "png"], themes: true });
+
+    chai.assert.lengthOf(rendered, 4);
+    chai.assert.match(
+      output,
+      /^<picture><source media="\(prefers-color-scheme: dark\)" type="image\/svg\+xml" srcset="[^"]+\.svg"><source media="\(prefers-color-scheme: dark\)" type="image\/png" srcset="[^"]+\.png"><source type="image\/svg\+xml" srcset="[^"]+\.svg"><img src="[^"]+\.png" alt="Login"><\/picture>$/
+    );
+  });
+
+  it("should let the code fence choose the formats and scales", async () => {
+    const options = { outputFormats: ["svg", "png"], scales: [1, 2] };
+
+    const single = await processHtml(options, "format=svg");
+    chai.assert.match(single, /^<img src="\/plantuml-[0-9a-f]{64}\.svg"[^>]*>$/);
+
+    const scaled = await processHtml(options, "formats=png scales=1,3");
+    chai.assert.match(
+      scaled,
+      /^<picture><img src="[^"]+\.png" srcset="[^"]+\.png 1x, [^"]+\.png 3x" alt=""><\/picture>$/
+    );
+  });
+
+  it("should point every format at the PlantUML server with inlineImage", async () => {
+    const output = await processHtml({ outputFormats: ["svg", "png"], inlineImage: true });
+
+    chai.assert.include(output, 'srcset="https://www.plantuml.com/plantuml/svg/');
+    chai.assert.include(output, '<img src="https://www.plantuml.com/plantuml/png/');
+    chai.assert.lengthOf(rendered, 0);
+  });
+
+  it("should reject invalid scales", () => {
+    chai.assert.throws(() => plugin({ scales: [2, "big"] }), "Invalid scale: big");
+  });
+});
@@ -0,0 +1,60 @@
+const { unified } = require("unified");
+const remarkParse = require("remark-parse").default;
+const remarkRehype = require("remark-rehype").default;
+const html = require("rehype-stringify").default;
+const plugin = require("../index");
+
+// The signature every PNG file starts with, enough for the plugin to take a buffer as an image
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Creates a renderer that records what it is asked to render instead of
+ * running PlantUML. PNG images are the signature followed by the code, other
+ * formats an SVG showing how many diagrams were rendered so far.
+ * @param {Object} [settings] - Renderer settings
+ * @param {function(Object): *} [settings.record] - What to record of `{ code, format, page }`, the code by default
+ * @param {function(Object, number): string} [settings.output] - Text of a non-PNG image, from the call and the count
+ * @returns {Object} - Renderer with the `rendered` records and `reset()` to clear them
+ */
+function recordingRenderer(settings = {}) {
+  const {
+    record = call => call.code,
+    output = (call, count) => `<svg xmlns="http://www.w3.org/2000/svg"><text>${count}</text></svg>`
+  } = settings;
+
+  const rendered = [];
+  return {
+    name: "recording",
+    rendered,
+    render: async (code, format, page) => {
+      const call = { code, format, page };
+      rendered.push(record(call));
+      return format === "png" ? Buffer.concat([PNG, Buffer.from(code)]) : Buffer.from(output(call, rendered.length));
+    },
+    reset() {
+      rendered.length = 0;
+    }
+  };
+}
+
+/**
+ * Creates a function turning markdown into HTML with the plugin, keeping raw
+ * HTML such as inline SVGs
+ * @param {Object} pluginOptions - Plugin options of every call
+ * @returns {function((string|Object), Object=): Promise<Object>} - Processes markdown or a vfile, with more options
+ */
+function htmlProcessor(pluginOptions) {
+  return (input, options) =>
+    unified()
+      .use(remarkParse)
+      .use(plugin, { ...pluginOptions, ...options })
+      .use(remarkRehype, { allowDangerousHtml: true })
+      .use(html, { allowDangerousHtml: true })
+      .process(input);
+}
+
+module.exports = {
+  PNG,
+  htmlProcessor,
+  recordingRenderer
+};
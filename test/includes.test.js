@@ -0,0 +1,250 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { processIncludes } = require("../lib/includes");
+
+describe("Includes", () => {
+  const includesDir = path.resolve(__dirname, "./resources/includes");
+
+  async function expand(code) {
+    const warnings = [];
+    const result = await processIncludes(code, includesDir, {
+      warn: (message, offset) => warnings.push({ message, offset })
+    });
+    return { result, warnings };
+  }
+
+  it("should include the first diagram of a file by default", async () => {
+    const { result } = await expand("!include multi.puml");
+    chai.assert.equal(result, "class FirstDiagram");
+  });
+
+  it("should include a diagram by index or id", async () => {
+    chai.assert.equal((await expand("!include multi.puml!1")).result, "class SecondDiagram");
+    chai.assert.equal((await expand("!include multi.puml!THIRD")).result, "class ThirdDiagram");
+  });
+
+  it("should select diagrams of any type", async () => {
+    chai.assert.equal((await expand("!include types.puml!MAP")).result, "* Root\n** Branch");
+    chai.assert.equal((await expand("!include types.puml!1")).result, '{"answer": 42}');
+  });
+
+  it("should report a diagram that does not exist", async () => {
+    const { result, warnings } = await expand("!include multi.puml!7");
+    chai.assert.equal(result, "!include multi.puml!7");
+    chai.assert.include(warnings[0].message, "no diagram named 7");
+  });
+
+  it("should include every section of a sub", async () => {
+    const { result } = await expand("!includesub styles.iuml!COLORS");
+    chai.assert.equal(result, "skinparam backgroundColor #EEEEEE\nskinparam classBorderColor #333333");
+  });
+
+  it("should drop sub markers when including the whole file", async () => {
+    const { result } = await expand("!include styles.iuml");
+    chai.assert.notInclude(result, "!startsub");
+    chai.assert.notInclude(result, "!endsub");
+    chai.assert.include(result, "skinparam shadowing false");
+  });
+
+  it("should include other diagram file extensions", async () => {
+    const { result } = await expand("!include plain.txt\n!include dir/a.pu");
+    chai.assert.equal(result, "class FromTxt\nclass FromPu");
+  });
+
+  it("should report files that are not diagrams", async () => {
+    const { result, warnings } = await expand("class A\n!include dir/notes.md");
+    chai.assert.equal(result, "class A\n!include dir/notes.md");
+    chai.assert.equal(warnings[0].offset, 8);
+  });
+
+  it("should include all diagram files of a directory", async () => {
+    const { result } = await expand("!includedir dir");
+    chai.assert.equal(result, "class FromPu\nclass FromPlantuml");
+  });
+
+  it("should include a file once unless include_many is used", async () => {
+    chai.assert.equal((await expand("!include plain.txt\n!include plain.txt")).result, "class FromTxt\n");
+    chai.assert.equal(
+      (await expand("!include plain.txt\n!include_many plain.txt")).result,
+      "class FromTxt\nclass FromTxt"
+    );
+  });
+
+  it("should fail when include_once meets a file again", async () => {
+    try {
+      await expand("!include plain.txt\n!include_once plain.txt");
+      chai.assert.fail("Processing should have failed");
+    } catch (error) {
+      chai.assert.include(error.message, "already included");
+      chai.assert.equal(error.offset, 19);
+    }
+  });
+
+  it("should leave standard library and URL includes to PlantUML", async () => {
+    const code = "!include <C4/C4_Container>\n!include https://example.com/style.puml";
+    chai.assert.equal((await expand(code)).result, code);
+  });
+
+  it("should fail on include cycles", async () => {
+    for (const file of ["cycle-self.puml", "cycle-a.puml"]) {
+      try {
+        await expand(`class Start\n!include ${file}`);
+        chai.assert.fail("Processing should have failed");
+      } catch (error) {
+        chai.assert.equal(error.name, "IncludeError");
+        chai.assert.include(error.message, "Circular include");
+        chai.assert.equal(error.offset, 12, "The error should point at the top-level directive");
+      }
+    }
+  });
+
+  it("should look up relative includes in the search paths after the base path", async () => {
+    const docsDir = path.resolve(__dirname, "./resources/docs/nested");
+    const searchPaths = [path.resolve(__dirname, "./resources/docs"), includesDir];
+
+    chai.assert.equal(await processIncludes("!include multi.puml", docsDir, { searchPaths }), "class FirstDiagram");
+    chai.assert.equal(await processIncludes("!include shared.puml", docsDir, { searchPaths }), "class SharedFromDocs");
+  });
+
+  it("should resolve nested includes against the including file first", async () => {
+    const result = await processIncludes("!include nested/local.puml", path.resolve(__dirname, "./resources/docs"), {
+      searchPaths: [includesDir]
+    });
+    chai.assert.equal(result, "class NextToDoc\nclass SharedFromDocs");
+  });
+
+  it("should resolve include aliases", async () => {
+    const aliases = { "@shared": includesDir, "@shared/dir": path.join(includesDir, "dir") };
+    chai.assert.equal(await processIncludes("!include @shared/plain.txt", __dirname, { aliases }), "class FromTxt");
+    chai.assert.equal(await processIncludes("!include @shared/dir/a.pu", __dirname, { aliases }), "class FromPu");
+    chai.assert.equal(
+      await processIncludes("!includedir @shared/dir", __dirname, { aliases }),
+      "class FromPu\nclass FromPlantuml"
+    );
+  });
+
+  it("should list the searched directories for includes that are not found", async () => {
+    const warnings = [];
+    await processIncludes("!include nowhere.puml", __dirname, {
+      searchPaths: [includesDir],
+      warn: message => warnings.push(message)
+    });
+    chai.assert.include(
+      warnings[0],
+      `not found, looked for ${path.join(__dirname, "nowhere.puml")}, ${path.join(includesDir, "nowhere.puml")}`
+    );
+  });
+
+  it("should resolve includes against the directory of the markdown file", async () => {
+    const input = ["```plantuml", "!include local.puml", "```"].join("\n");
+    const traced = [];
+
+    const file = await remark()
+      .use(plugin, {
+        outputDir: "./test/static",
+        inlineImage: true,
+        includePaths: [includesDir],
+        logger: message => traced.push(message)
+      })
+      .process({ path: "test/resources/docs/nested/guide.md", value: input });
+
+    chai.assert.lengthOf(file.messages, 0);
+    chai.assert.isTrue(traced.some(message => message.includes(path.join("docs", "nested", "shared.puml"))));
+  });
+
+  describe("Sandbox", () => {
+    const sandboxDir = path.resolve(__dirname, "./static/sandbox");
+
+    before(async () => {
+      await fsExtra.emptyDir(sandboxDir);
+      await fsExtra.writeFile(path.join(sandboxDir, "inside.puml"), "class Inside");
+      await fsExtra.symlink(path.join(includesDir, "plain.txt"), path.join(sandboxDir, "link.puml"));
+    });
+
+    after(async () => {
+      await fsExtra.remove(sandboxDir);
+    });
+
+    async function expectRefused(code, offset) {
+      try {
+        await processIncludes(code, sandboxDir, { roots: [sandboxDir] });
+        chai.assert.fail("Processing should have failed");
+      } catch (error) {
+        chai.assert.equal(error.name, "IncludeError");
+        chai.assert.include(error.message, "outside the allowed include roots");
+        chai.assert.equal(error.offset, offset);
+      }
+    }
+
+    it("should include files inside the roots", async () => {
+      chai.assert.equal(
+        await processIncludes("!include inside.puml", sandboxDir, { roots: [sandboxDir] }),
+        "class Inside"
+      );
+    });
+
+    it("should refuse relative and absolute paths leaving the roots", async () => {
+      await expectRefused("class A\n!include ../../resources/includes/plain.txt", 8);
+      await expectRefused(`!include ${path.join(includesDir, "plain.txt")}`, 0);
+      // Whether the file exists must not matter
+      await expectRefused("!include ../../../../../etc/missing.puml", 0);
+      await expectRefused("!includedir ..", 0);
+    });
+
+    it("should refuse escapes the plugin would otherwise leave to the renderer", async () => {
+      // No diagram file extension
+      await expectRefused("!include ../../../../../etc/passwd", 0);
+      await expectRefused("!includesub ../../../../../etc/passwd", 0);
+      await expectRefused("!include file:///etc/passwd", 0);
+      await expectRefused("::include{file=file:///etc/passwd}", 0);
+    });
+
+    it("should leave the standard library and web URLs to PlantUML", async () => {
+      const code = "!include <C4/C4_Container>\n!include https://example.com/style.puml";
+      chai.assert.equal(await processIncludes(code, sandboxDir, { roots: [sandboxDir] }), code);
+    });
+
+    it("should refuse symlinks pointing out of the roots", async () => {
+      await expectRefused("!include inside.puml\n!include link.puml", 21);
+    });
+
+    it("should not look in search paths outside the roots", async () => {
+      const warnings = [];
+      const result = await processIncludes("!include multi.puml", sandboxDir, {
+        roots: [sandboxDir],
+        searchPaths: [includesDir],
+        warn: message => warnings.push(message)
+      });
+      chai.assert.equal(result, "!include multi.puml");
+      chai.assert.notInclude(warnings[0], includesDir);
+    });
+
+    it("should limit untrusted documents to the include directories", async () => {
+      const input = ["Text", "", "```plantuml", "class Escape", "!include ../../includes/plain.txt", "```"].join("\n");
+
+      const file = await remark()
+        .use(plugin, { outputDir: "./test/static", untrusted: true, onError: "placeholder" })
+        .process({ path: "test/resources/docs/nested/guide.md", value: input });
+
+      chai.assert.lengthOf(file.messages, 1);
+      chai.assert.include(file.messages[0].reason, "outside the allowed include roots: ../../includes/plain.txt");
+      chai.assert.equal(file.messages[0].line, 5);
+      chai.assert.notInclude(file.toString(), "FromTxt");
+    });
+  });
+
+  it("should report include cycles at the directive line", async () => {
+    const input = ["```plantuml", "class Start", "!include cycle-a.puml", "```"].join("\n");
+
+    const file = await remark()
+      .use(plugin, { outputDir: "./test/static", includePath: includesDir, onError: "keep-code" })
+      .process(input);
+
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.include(file.messages[0].reason, "Circular include: cycle-a.puml -> cycle-b.puml -> cycle-a.puml");
+    chai.assert.equal(file.messages[0].line, 3);
+  });
+});
@@ -490,4 +490,28 @@ describe("Plugin", () => {
     chai.assert.notInclude(outStr, "plantuml-", "Should not reference a local file");
     chai.assert.isFalse(fetchCalled, "Fetch should not be called when inlineImage is true");
   });
+
+  it("should render the fence languages configured as PlantUML", async () => {
+    const fence = (lang, code) => ["```" + lang, code, "```"].join("\n");
+    const input = [
+      fence("puml", "class PumlFence"),
+      fence("UML", "@startmindmap\n* UmlFence\n@endmindmap"),
+      fence("mermaid", "graph TD; A-->B"),
+      fence("diagram", "class CustomFence")
+    ].join("\n\n");
+    const process = languages =>
+      remark()
+        .use(plugin, { inlineImage: true, ...(languages ? { languages } : {}) })
+        .process(input)
+        .then(String);
+
+    const defaults = await process();
+    chai.assert.equal((defaults.match(/!\[]\(https:\/\/www\.plantuml\.com/g) || []).length, 2);
+    chai.assert.include(defaults, "```mermaid");
+    chai.assert.include(defaults, "```diagram");
+
+    const custom = await process(["diagram"]);
+    chai.assert.include(custom, "```puml");
+    chai.assert.notInclude(custom, "```diagram");
+  });
 });
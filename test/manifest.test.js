@@ -0,0 +1,95 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { PNG } = require("./helpers");
+
+describe("Manifest and prune", () => {
+  const workDir = path.resolve(__dirname, "./static/manifest");
+  const outputDir = path.join(workDir, "static");
+  const manifestFile = path.join(outputDir, "plantuml-manifest.json");
+
+  const fetchImpl = async () => ({ ok: true, buffer: async () => PNG });
+
+  async function processDocument(relativePath, diagrams) {
+    const value = diagrams.map(diagram => ["```plantuml", diagram, "```"].join("\n")).join("\n\n");
+    await fsExtra.outputFile(path.join(workDir, relativePath), value);
+
+    await remark()
+      .use(plugin, { outputDir, manifest: true, fetch: fetchImpl })
+      .process({ value, path: relativePath, cwd: workDir });
+  }
+
+  beforeEach(async () => {
+    await fsExtra.remove(workDir);
+  });
+
+  it("should record the images each document references", async () => {
+    await Promise.all([
+      processDocument("docs/a.md", ["class A", "class Shared"]),
+      processDocument("docs/b.md", ["class Shared"])
+    ]);
+
+    const manifest = await fsExtra.readJson(manifestFile);
+
+    chai.assert.equal(manifest.version, 1);
+    chai.assert.deepEqual(Object.keys(manifest.documents).sort(), ["docs/a.md", "docs/b.md"]);
+    chai.assert.lengthOf(manifest.documents["docs/a.md"], 2);
+    chai.assert.lengthOf(manifest.documents["docs/b.md"], 1);
+    chai.assert.include(manifest.documents["docs/a.md"], manifest.documents["docs/b.md"][0]);
+  });
+
+  it("should report orphaned images in a dry run and delete them otherwise", async () => {
+    await processDocument("docs/a.md", ["class Before"]);
+    const [before] = (await fsExtra.readJson(manifestFile)).documents["docs/a.md"];
+
+    await processDocument("docs/a.md", ["class After"]);
+    const [after] = (await fsExtra.readJson(manifestFile)).documents["docs/a.md"];
+
+    const report = await plugin.prune({ outputDir, cwd: workDir, dryRun: true });
+    chai.assert.deepEqual(report.removed, [path.join(outputDir, before)]);
+    chai.assert.deepEqual(report.kept, [path.join(outputDir, after)]);
+    chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, before)), "Dry run should not delete files");
+
+    await plugin.prune({ outputDir, cwd: workDir });
+    chai.assert.isFalse(await fsExtra.pathExists(path.join(outputDir, before)));
+    chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, after)));
+  });
+
+  it("should write the manifest for documents without diagrams", async () => {
+    const stale = path.join(outputDir, `plantuml-${"0".repeat(64)}.png`);
+    await fsExtra.outputFile(stale, PNG);
+    await processDocument("docs/a.md", []);
+
+    chai.assert.deepEqual(await fsExtra.readJson(manifestFile), { version: 1, documents: {} });
+
+    const report = await plugin.prune({ outputDir, cwd: workDir });
+    chai.assert.deepEqual(report.removed, [stale]);
+    chai.assert.isFalse(await fsExtra.pathExists(stale));
+  });
+
+  it("should forget documents that were deleted", async () => {
+    await processDocument("docs/a.md", ["class Kept"]);
+    await processDocument("docs/gone.md", ["class Gone"]);
+    await fsExtra.remove(path.join(workDir, "docs/gone.md"));
+
+    const report = await plugin.prune({ outputDir, cwd: workDir });
+    const manifest = await fsExtra.readJson(manifestFile);
+
+    chai.assert.deepEqual(report.removedDocuments, ["docs/gone.md"]);
+    chai.assert.lengthOf(report.removed, 1);
+    chai.assert.deepEqual(Object.keys(manifest.documents), ["docs/a.md"]);
+  });
+
+  it("should refuse to prune without a manifest", async () => {
+    await remark()
+      .use(plugin, { outputDir, fetch: fetchImpl })
+      .process("```plantuml\nclass Unrecorded\n```");
+
+    const error = await plugin.prune({ outputDir, cwd: workDir, dryRun: true }).catch(e => e);
+    chai.assert.instanceOf(error, Error);
+    chai.assert.include(error.message, "No PlantUML manifest at");
+    chai.assert.lengthOf(await fsExtra.readdir(outputDir), 1, "Images should be left alone");
+  });
+});
@@ -0,0 +1,86 @@
+const chai = require("chai");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { PNG } = require("./helpers");
+
+describe("Messages", () => {
+  const fetchImpl = async () => ({ ok: true, buffer: async () => PNG });
+  const failingFetch = async () => {
+    throw new Error("Simulated network error");
+  };
+
+  function process(input, options) {
+    return remark()
+      .use(plugin, {
+        outputDir: "./test/static",
+        includePath: path.resolve(__dirname, "./resources"),
+        fetch: fetchImpl,
+        ...options
+      })
+      .process(input);
+  }
+
+  it("should report a missing include at the line of the directive", async () => {
+    const input = ["# Includes", "", "```plantuml", "class Before", "  !include missing-file.puml", "```"].join("\n");
+    const file = await process(input);
+
+    chai.assert.lengthOf(file.messages, 1);
+    const [message] = file.messages;
+    chai.assert.include(message.reason, "Cannot include missing-file.puml");
+    chai.assert.equal(message.line, 5);
+    chai.assert.equal(message.column, 3);
+    chai.assert.equal(message.ruleId, "include");
+    chai.assert.equal(message.source, "remark-plantuml-local");
+    chai.assert.isFalse(message.fatal);
+  });
+
+  it("should report render failures as warnings at the code block", async () => {
+    const input = ["Text", "", "```plantuml", "class Offline", "```"].join("\n");
+    const file = await process(input, { fetch: failingFetch, retries: 0 });
+
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.include(file.messages[0].reason, "Simulated network error");
+    chai.assert.equal(file.messages[0].line, 3);
+    chai.assert.equal(file.messages[0].ruleId, "render");
+  });
+
+  it("should report unknown figure references", async () => {
+    const input = ["See [@fig:nowhere].", "", "```plantuml", "class Figure", "```"].join("\n");
+    const file = await process(input, { figures: true });
+
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.include(file.messages[0].reason, "[@fig:nowhere]");
+    chai.assert.equal(file.messages[0].line, 1);
+  });
+
+  it("should stay quiet on the console unless verbose", async () => {
+    const input = ["```plantuml", "!include included-diagram.puml", "class Quiet", "```"].join("\n");
+    const originalLog = console.log;
+    const originalError = console.error;
+    const printed = [];
+    console.log = (...args) => printed.push(args.join(" "));
+    console.error = (...args) => printed.push(args.join(" "));
+
+    try {
+      await process(input);
+      chai.assert.deepEqual(printed, []);
+
+      await process(input, { verbose: true });
+      chai.assert.isNotEmpty(printed);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+    }
+  });
+
+  it("should pass trace messages to a custom logger", async () => {
+    const traced = [];
+    const input = ["```plantuml", "!include included-diagram.puml", "class Traced", "```"].join("\n");
+
+    await process(input, { logger: message => traced.push(message) });
+
+    chai.assert.isTrue(traced.some(message => message.includes("include processed: included-diagram.puml")));
+    chai.assert.isTrue(traced.some(message => message.includes("Checking cache")));
+  });
+});
@@ -0,0 +1,123 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { PNG, htmlProcessor } = require("./helpers");
+const { blockSettings, parseMeta } = require("../lib/meta");
+
+describe("Code fence meta", () => {
+  const fakeSvg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><text>Meta</text></svg>', "utf8");
+
+  it("should parse bare and quoted attributes", () => {
+    const { attributes, text } = parseMeta(
+      `format=svg inline=true width=600 alt="Login flow" title='Figure 1' class=wide`
+    );
+
+    chai.assert.deepEqual(attributes, {
+      format: "svg",
+      inline: "true",
+      width: "600",
+      alt: "Login flow",
+      title: "Figure 1",
+      class: "wide"
+    });
+    chai.assert.equal(text, "");
+  });
+
+  it("should keep using a plain meta string as alt text and title", () => {
+    const block = blockSettings({}, "Title should be displayed");
+    chai.assert.equal(block.alt, "Title should be displayed");
+    chai.assert.equal(block.title, "Title should be displayed");
+  });
+
+  it("should override plugin options per block", () => {
+    const block = blockSettings(
+      { outputFormat: "png", inlineImage: false, outputDir: "./static" },
+      "format=svg inline=yes outputDir=svg id=login"
+    );
+
+    chai.assert.equal(block.options.outputFormat, "svg");
+    chai.assert.isTrue(block.options.inlineImage);
+    chai.assert.equal(block.options.outputDir, "./static", "The output directory itself stays");
+    chai.assert.equal(block.options.outputSubdir, "svg");
+    chai.assert.deepEqual(block.properties, { id: "login" });
+    chai.assert.isNull(block.alt);
+  });
+
+  it("should render blocks with their own format and image attributes", async () => {
+    const outputDir = path.resolve(__dirname, "./static/meta");
+    await fsExtra.remove(outputDir);
+
+    const fetchImpl = async url => ({ ok: true, buffer: async () => (url.includes("/svg/") ? fakeSvg : PNG) });
+
+    const input = [
+      "```plantuml",
+      "class PngDiagram",
+      "```",
+      "",
+      '```plantuml format=svg width=600 alt="Login flow" title="Figure 1" class="wide framed" id=login',
+      "class SvgDiagram",
+      "```"
+    ].join("\n");
+
+    const output = await htmlProcessor({ outputFormat: "png", outputDir, fetch: fetchImpl })(input);
+
+    const htmlOutput = output.toString();
+    const files = await fsExtra.readdir(outputDir);
+
+    chai.assert.match(htmlOutput, /<img src="\/plantuml-[0-9a-f]+\.png">/);
+    chai.assert.match(
+      htmlOutput,
+      /<img src="\/plantuml-[0-9a-f]+\.svg" alt="Login flow" title="Figure 1" width="600" class="wide framed" id="login">/
+    );
+    chai.assert.lengthOf(
+      files.filter(file => file.endsWith(".png")),
+      1
+    );
+    chai.assert.lengthOf(
+      files.filter(file => file.endsWith(".svg")),
+      1
+    );
+  });
+
+  describe("outputDir attribute", () => {
+    const outputDir = path.resolve(__dirname, "./static/meta-dir");
+    const fetchImpl = async () => ({ ok: true, buffer: async () => PNG });
+
+    beforeEach(async () => {
+      await fsExtra.remove(outputDir);
+    });
+
+    const toHtml = htmlProcessor({ outputDir, urlPrefix: "/img/", fetch: fetchImpl, onError: "placeholder" });
+
+    function processBlock(meta, options) {
+      const input = [`\`\`\`plantuml ${meta}`, "class Placed", "```"].join("\n");
+      return toHtml(input, options);
+    }
+
+    it("should write into a directory inside outputDir and link it there", async () => {
+      const file = await processBlock("outputDir=./diagrams/svg");
+      const [, filename] = String(file).match(/^<img src="\/img\/(diagrams\/svg\/plantuml-[0-9a-f]{64}\.png)">$/);
+      chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, filename)));
+    });
+
+    it("should refuse directories outside outputDir", async () => {
+      for (const dir of ["../escaped", "/tmp/escaped", "a/../../escaped"]) {
+        const file = await processBlock(`outputDir=${dir}`);
+        chai.assert.lengthOf(file.messages, 1);
+        chai.assert.include(
+          file.messages[0].reason,
+          `outputDir of a block must be a directory inside outputDir: ${dir}`
+        );
+      }
+      chai.assert.isFalse(await fsExtra.pathExists(path.resolve(outputDir, "../escaped")));
+    });
+
+    it("should ignore the attribute for untrusted documents", async () => {
+      for (const options of [{ untrusted: true }, { includeRoots: [__dirname] }]) {
+        const file = await processBlock("outputDir=diagrams", options);
+        chai.assert.match(String(file), /^<img src="\/img\/plantuml-[0-9a-f]{64}\.png">$/);
+      }
+      chai.assert.isFalse(await fsExtra.pathExists(path.join(outputDir, "diagrams")));
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { recordingRenderer } = require("./helpers");
+const { documentFields, filenameTemplateRegex, fillFilenameTemplate } = require("../lib/output");
+
+describe("Output layout", () => {
+  const workDir = path.resolve(__dirname, "./static/output");
+  const outputDir = path.join(workDir, "static");
+
+  const renderer = recordingRenderer();
+  const { rendered } = renderer;
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(workDir);
+  });
+
+  async function processDocument(relativePath, markdown, options) {
+    await fsExtra.outputFile(path.join(workDir, relativePath), markdown);
+    const file = await remark()
+      .use(plugin, { outputDir, outputFormat: "svg", renderer, ...options })
+      .process({ value: markdown, path: relativePath, cwd: workDir });
+    return String(file);
+  }
+
+  const fields = { hash: "0123456789abcdef", ext: "svg", docPath: "guide/Intro", docSlug: "guide-intro", index: 2 };
+
+  it("should fill in filename templates", () => {
+    chai.assert.equal(fillFilenameTemplate("plantuml-{hash}.{ext}", fields), "plantuml-0123456789abcdef.svg");
+    chai.assert.equal(
+      fillFilenameTemplate("{docSlug}/{id|index}-{hash:8}.{ext}", fields),
+      "guide-intro/2-01234567.svg"
+    );
+    chai.assert.equal(
+      fillFilenameTemplate("{docPath}/{id|index}-{hash:8}.{ext}", { ...fields, id: "login" }),
+      "guide/Intro/login-01234567.svg"
+    );
+    chai.assert.equal(fillFilenameTemplate("{docDir}/{hash:4}.{ext}", { ...fields, docDir: "" }), "0123.svg");
+  });
+
+  it("should reject templates with unknown placeholders or without the hash", () => {
+    chai.assert.throws(() => plugin({ filename: "{name}-{hash}.{ext}" }), "Unknown filename placeholder: {name}");
+    chai.assert.throws(() => plugin({ filename: "{hash:0}.{ext}" }), "Unknown filename placeholder: {hash:0}");
+    chai.assert.throws(() => plugin({ filename: "{id|index}.{ext}" }), "Filename template needs a {hash} placeholder");
+  });
+
+  it("should match the files a template produces", () => {
+    const pattern = filenameTemplateRegex("{docPath}/{id|index}-{hash:8}.{ext}");
+    chai.assert.match("guide/intro/login-01234567.svg", pattern);
+    chai.assert.match("3-01234567.png", pattern);
+    chai.assert.notMatch("guide/notes.txt", pattern);
+    chai.assert.notMatch("guide/3-01234567.svg.1234.89abcdef.tmp", pattern);
+    chai.assert.notMatch("plantuml-manifest.json", filenameTemplateRegex("plantuml-{hash}.{ext}"));
+  });
+
+  it("should describe the document relative to the working directory", () => {
+    chai.assert.deepEqual(documentFields({ path: "docs/Getting Started.md" }, "/project"), {
+      docPath: "docs/Getting-Started",
+      docDir: "docs",
+      docName: "Getting-Started",
+      docSlug: "docs-getting-started"
+    });
+    chai.assert.equal(documentFields({ path: "../outside/a.md" }, "/project").docPath, "outside/a");
+    chai.assert.equal(documentFields(null, "/project").docPath, "");
+  });
+
+  it("should write images below a directory mirroring the document", async () => {
+    const markdown = [
+      "```plantuml id=login",
+      "A -> B",
+      "```",
+      "",
+      '```plantuml title="Order Flow"',
+      "B -> C",
+      "```"
+    ].join("\n");
+    const output = await processDocument("guide/intro.md", markdown, {
+      filename: "{docPath}/{id|title}-{hash:8}.{ext}",
+      urlPrefix: "/assets/"
+    });
+
+    const [login, order] = output.match(/\/assets\/guide\/intro\/[a-z-]+-[0-9a-f]{8}\.svg/g);
+    chai.assert.match(login, /\/login-/);
+    chai.assert.match(order, /\/order-flow-/);
+    chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, login.replace("/assets/", ""))));
+
+    await processDocument("guide/intro.md", markdown, { filename: "{docPath}/{id|title}-{hash:8}.{ext}" });
+    chai.assert.lengthOf(rendered, 2, "Templated files should be reused as the cache");
+  });
+
+  it("should let a resolver choose the path and URL", async () => {
+    const calls = [];
+    const resolveOutput = info => {
+      calls.push(info);
+      return {
+        path: path.join(outputDir, "cdn", `${info.docSlug}-${info.index}-${info.hash.slice(0, 6)}.${info.ext}`)
+      };
+    };
+    const output = await processDocument("a.md", "```plantuml\nA -> B\n```", { resolveOutput, urlPrefix: "/assets/" });
+
+    chai.assert.lengthOf(calls, 1);
+    chai.assert.include(calls[0], { docPath: "a", index: 1, page: 1, scale: 1, theme: "default", ext: "svg" });
+    chai.assert.match(calls[0].path, /^plantuml-[0-9a-f]{64}\.svg$/);
+    chai.assert.match(output, /!\[]\(\/assets\/cdn\/a-1-[0-9a-f]{6}\.svg\)/);
+    chai.assert.lengthOf(await fsExtra.readdir(path.join(outputDir, "cdn")), 1);
+
+    const url = await processDocument("a.md", "```plantuml\nA -> B\n```", {
+      resolveOutput: info => ({ url: `https://cdn.example/${info.hash}.${info.ext}` })
+    });
+    chai.assert.match(url, /!\[]\(https:\/\/cdn\.example\/[0-9a-f]{64}\.svg\)/);
+  });
+
+  it("should prune templated images only", async () => {
+    const filename = "{docPath}/{hash:8}.{ext}";
+    await processDocument("docs/a.md", "```plantuml\nA -> Before\n```", { filename, manifest: true });
+    await processDocument("docs/a.md", "```plantuml\nA -> After\n```", { filename, manifest: true });
+    await fsExtra.outputFile(path.join(outputDir, "docs/a/notes.txt"), "keep me");
+
+    const report = await plugin.prune({ outputDir, filename, cwd: workDir });
+
+    chai.assert.lengthOf(report.removed, 1);
+    chai.assert.lengthOf(report.kept, 1);
+    chai.assert.match(path.relative(outputDir, report.kept[0]), /^docs[/\\]a[/\\][0-9a-f]{8}\.svg$/);
+    chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, "docs/a/notes.txt")));
+  });
+});
@@ -0,0 +1,84 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { htmlProcessor, recordingRenderer } = require("./helpers");
+const { countPages } = require("../lib/pages");
+const { createLocalRenderer, plantumlServerUrl } = require("../lib/renderers");
+
+describe("Pages", () => {
+  const outputDir = path.resolve(__dirname, "./static/pages");
+  const code = [
+    "@startuml",
+    "Alice -> Bob : one",
+    "newpage",
+    "Bob -> Carol : two",
+    "newpage Last",
+    "Carol -> Alice",
+    "@enduml"
+  ];
+
+  const renderer = recordingRenderer({
+    record: call => call.page,
+    output: call => `<svg xmlns="http://www.w3.org/2000/svg" id="d"><text>page ${call.page}</text></svg>`
+  });
+  const { rendered } = renderer;
+  const toHtml = htmlProcessor({ outputDir, outputFormat: "svg", renderer });
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  function processHtml(options, meta = "alt=Login id=login") {
+    const input = [`\`\`\`plantuml ${meta}`, ...code, "```"].join("\n");
+    return toHtml(input, options).then(String);
+  }
+
+  it("should count the pages of a diagram", () => {
+    chai.assert.equal(countPages(code.join("\n")), 3);
+    chai.assert.equal(countPages("Alice -> Bob : newpage"), 1);
+  });
+
+  it("should ask the server and the local PlantUML for a page", async () => {
+    const options = { baseUrl: "https://plantuml.example" };
+    chai.assert.match(plantumlServerUrl("A -> B", "png", options), /^https:\/\/plantuml\.example\/png\/[^/]+$/);
+    chai.assert.match(plantumlServerUrl("A -> B", "png", options, 2), /^https:\/\/plantuml\.example\/png\/2\/[^/]+$/);
+
+    const local = createLocalRenderer({ plantumlCommand: path.resolve(__dirname, "./resources/bin/plantuml") });
+    chai.assert.include((await local.render("A -> B", "svg", 1)).toString(), "-pipe -pipeimageindex 1 -tsvg");
+    chai.assert.notInclude((await local.render("A -> B", "svg")).toString(), "-pipeimageindex");
+  });
+
+  it("should render every page into its own file, in order", async () => {
+    const output = await processHtml({});
+
+    chai.assert.sameMembers(rendered, [0, 1, 2]);
+    const files = output.match(/plantuml-[0-9a-f]{64}\.svg/g);
+    chai.assert.lengthOf(new Set(files), 3);
+    chai.assert.match(
+      output,
+      /^<div class="plantuml-pages"><img src="[^"]+" alt="Login \(page 1 of 3\)" id="login">\n<img src="[^"]+" alt="Login \(page 2 of 3\)">\n<img src="[^"]+" alt="Login \(page 3 of 3\)"><\/div>$/
+    );
+
+    await processHtml({});
+    chai.assert.lengthOf(rendered, 3, "Every page should come from the cache the second time");
+  });
+
+  it("should point at the pages on the server with inlineImage", async () => {
+    const output = await processHtml({ inlineImage: true });
+
+    chai.assert.include(output, 'src="https://www.plantuml.com/plantuml/svg/');
+    chai.assert.include(output, 'src="https://www.plantuml.com/plantuml/svg/1/');
+    chai.assert.include(output, 'src="https://www.plantuml.com/plantuml/svg/2/');
+    chai.assert.lengthOf(rendered, 0);
+  });
+
+  it("should inline every page with its own element IDs", async () => {
+    const output = await processHtml({ inlineSvg: true }, "alt=Login");
+
+    chai.assert.include(output, "<text>page 0</text>");
+    chai.assert.include(output, "<text>page 2</text>");
+    const ids = output.match(/ id="[^"]+"/g);
+    chai.assert.lengthOf(new Set(ids), 3);
+  });
+});
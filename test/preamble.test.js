@@ -0,0 +1,122 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { recordingRenderer } = require("./helpers");
+const { addAmbles, ambleText } = require("../lib/preamble");
+
+describe("Preamble", () => {
+  const outputDir = path.resolve(__dirname, "./static/preamble");
+  const commonFile = path.relative(process.cwd(), path.resolve(__dirname, "./resources/includes/common.iuml"));
+
+  const renderer = recordingRenderer();
+  const { rendered } = renderer;
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  // Stands in for a frontmatter plugin such as remark-frontmatter with vfile-matter
+  const frontmatter = matter => () => (tree, file) => {
+    file.data.matter = matter;
+  };
+
+  function processMarkdown(input, options, matter) {
+    let processor = remark();
+    if (matter) processor = processor.use(frontmatter(matter));
+    return processor
+      .use(plugin, { outputDir, outputFormat: "svg", renderer, ...options })
+      .process(input)
+      .then(file => ({ file, output: file.toString() }));
+  }
+
+  const diagram = (...lines) => ["```plantuml", ...lines, "```"].join("\n");
+
+  it("should add the preamble after @startuml and the postamble before @enduml", () => {
+    const { code } = addAmbles("@startuml\nA -> B\n@enduml\n", {
+      preamble: "!theme plain",
+      postamble: "legend\nok\nendlegend"
+    });
+    chai.assert.equal(code, "@startuml\n!theme plain\nA -> B\nlegend\nok\nendlegend\n@enduml\n");
+
+    chai.assert.equal(
+      addAmbles("A -> B", { preamble: "!theme plain", postamble: "footer F" }).code,
+      "!theme plain\nA -> B\nfooter F"
+    );
+  });
+
+  it("should map offsets back to the original code", () => {
+    const original = "@startuml\nA -> B\n@enduml";
+    const { code, originalOffset } = addAmbles(original, { preamble: "skinparam x y", postamble: "footer F" });
+
+    chai.assert.equal(originalOffset(code.indexOf("A -> B")), original.indexOf("A -> B"));
+    chai.assert.equal(originalOffset(code.indexOf("@enduml")), original.indexOf("@enduml"));
+    chai.assert.isUndefined(originalOffset(code.indexOf("skinparam")));
+    chai.assert.isUndefined(originalOffset(code.indexOf("footer")));
+  });
+
+  it("should inject the preamble into every diagram and the filename hash", async () => {
+    const input = diagram("class A");
+    const plain = await processMarkdown(input, {});
+    const themed = await processMarkdown(input, { preamble: ["!theme plain", "skinparam shadowing false"] });
+
+    chai.assert.deepEqual(rendered, ["class A", "!theme plain\nskinparam shadowing false\nclass A"]);
+    chai.assert.notEqual(plain.output, themed.output, "The preamble should change the image filename");
+  });
+
+  it("should read the preamble from a file", async () => {
+    await processMarkdown(diagram("@startuml", "class A", "@enduml"), {
+      preamble: commonFile,
+      postamble: "footer Shared"
+    });
+
+    chai.assert.deepEqual(rendered, ["@startuml\nskinparam shadowing false\nclass A\nfooter Shared\n@enduml"]);
+  });
+
+  it("should only read bare paths and { file } from a file", async () => {
+    chai.assert.equal(ambleText("!include common.puml"), "!include common.puml");
+    chai.assert.equal(ambleText("title See a.puml"), "title See a.puml");
+    chai.assert.equal(ambleText({ file: "my styles.puml" }), "!include my styles.puml");
+
+    await processMarkdown(diagram("class A"), { preamble: `!include ${commonFile}` });
+    await processMarkdown(diagram("class B"), { postamble: { file: commonFile } });
+    chai.assert.deepEqual(rendered, ["skinparam shadowing false\nclass A", "class B\nskinparam shadowing false"]);
+  });
+
+  it("should let the frontmatter override the preamble and postamble", async () => {
+    const options = { preamble: "!theme plain", postamble: "footer Plugin" };
+
+    await processMarkdown(diagram("class A"), options, { plantuml: { preamble: "!theme cyborg" } });
+    await processMarkdown(diagram("class B"), options, { plantuml: { postamble: "" } });
+    await processMarkdown(diagram("class C"), options, { title: "No PlantUML settings" });
+
+    chai.assert.deepEqual(rendered, [
+      "!theme cyborg\nclass A\nfooter Plugin",
+      "!theme plain\nclass B",
+      "!theme plain\nclass C\nfooter Plugin"
+    ]);
+  });
+
+  it("should resolve frontmatter preamble files like includes of the document", async () => {
+    const { file } = await processMarkdown(
+      { path: path.resolve(__dirname, "./resources/includes/doc.md"), value: diagram("class A") },
+      { untrusted: true },
+      { plantuml: { preamble: "../included-diagram.puml" } }
+    );
+
+    chai.assert.lengthOf(file.messages, 1, "Files outside the document's directory are refused when untrusted");
+    chai.assert.include(file.messages[0].reason, "outside the allowed include roots");
+    chai.assert.equal(file.messages[0].line, 1);
+  });
+
+  it("should keep reporting include problems at their line", async () => {
+    const { file } = await processMarkdown(diagram("class A", "!include missing.puml"), {
+      preamble: "skinparam x y\nskinparam z w"
+    });
+
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.equal(file.messages[0].line, 3);
+  });
+});
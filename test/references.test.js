@@ -0,0 +1,92 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const plugin = require("../index");
+const { htmlProcessor, recordingRenderer } = require("./helpers");
+const { diagramFile } = require("../lib/references");
+
+describe("Image references", () => {
+  const outputDir = path.resolve(__dirname, "./static/references");
+  const documentPath = path.resolve(__dirname, "./resources/doc.md");
+
+  const renderer = recordingRenderer();
+  const { rendered } = renderer;
+  const toHtml = htmlProcessor({ outputDir, outputFormat: "svg", renderer });
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  const processHtml = (markdown, options) => toHtml({ path: documentPath, value: markdown }, options);
+
+  it("should recognize local diagram files", () => {
+    chai.assert.equal(diagramFile("./diagrams/arch.puml", "/project"), "./diagrams/arch.puml");
+    chai.assert.equal(diagramFile("my%20diagram.iuml?v=2", "/project"), "my diagram.iuml");
+    chai.assert.equal(diagramFile("/docs/arch.puml", "/project"), path.join("/project", "docs", "arch.puml"));
+    chai.assert.isNull(diagramFile("https://example.com/arch.puml", "/project"));
+    chai.assert.isNull(diagramFile("./diagrams/arch.png", "/project"));
+  });
+
+  it("should render the first diagram of a referenced file with its includes", async () => {
+    const file = await processHtml("![System](./diagrams/arch.puml)");
+
+    chai.assert.deepEqual(rendered, ["@startuml\ntitle System context\nactor Users\nUsers -> System\n@enduml"]);
+    chai.assert.match(String(file), /^<img src="\/plantuml-[0-9a-f]{64}\.svg" alt="System">$/);
+  });
+
+  it("should keep the diagram type and replace images within text inline", async () => {
+    const file = await processHtml("See ![](diagrams/mindmap.puml) for details.");
+
+    chai.assert.deepEqual(rendered, ["@startmindmap\n* Root\n** Leaf\n@endmindmap"]);
+    chai.assert.match(String(file), /^<p>See <img src="\/plantuml-[0-9a-f]{64}\.svg"> for details\.<\/p>$/);
+  });
+
+  it("should take the alt text from the diagram title", async () => {
+    const file = await processHtml('![](diagrams/arch.puml "Context")');
+    chai.assert.include(String(file), 'alt="System context" title="Context"');
+  });
+
+  it("should render html img tags with htmlImages", async () => {
+    const markdown = '<img src="diagrams/arch.puml" alt="Context" width="300">';
+
+    const untouched = await processHtml(markdown);
+    chai.assert.equal(String(untouched), markdown);
+
+    const file = await processHtml(markdown, { htmlImages: true });
+    chai.assert.match(String(file), /^<img src="\/plantuml-[0-9a-f]{64}\.svg" alt="Context" width="300">$/);
+  });
+
+  it("should leave other images and disabled references alone", async () => {
+    const markdown = "![Logo](./logo.png)\n\n![Remote](https://example.com/arch.puml)";
+    chai.assert.notInclude(String(await processHtml(markdown)), "plantuml-");
+    chai.assert.include(String(await processHtml("![A](diagrams/arch.puml)", { imageReferences: false })), "arch.puml");
+    chai.assert.lengthOf(rendered, 0);
+  });
+
+  it("should report missing files and keep the image", async () => {
+    const file = await processHtml("Text\n\n![Missing](diagrams/missing.puml)");
+
+    chai.assert.include(String(file), 'src="diagrams/missing.puml"');
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.include(file.messages[0].reason, "diagrams/missing.puml not found");
+    chai.assert.equal(file.messages[0].line, 3);
+  });
+
+  it("should refuse files outside the include roots", async () => {
+    const file = await processHtml("![Outside](../../package.json.puml)", { untrusted: true });
+
+    chai.assert.lengthOf(rendered, 0);
+    chai.assert.include(file.messages[0].reason, "outside the allowed include roots");
+  });
+
+  it("should record the file and its includes in the dependency graph", async () => {
+    const graph = new plugin.DependencyGraph();
+    await processHtml("![System](./diagrams/arch.puml)", { dependencyGraph: graph });
+
+    chai.assert.includeMembers([...graph.files()], [
+      path.resolve(__dirname, "./resources/diagrams/arch.puml"),
+      path.resolve(__dirname, "./resources/diagrams/parts/users.iuml")
+    ]);
+  });
+});
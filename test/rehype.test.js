@@ -0,0 +1,90 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { rehype } = require("rehype");
+const { unified } = require("unified");
+const remarkParse = require("remark-parse").default;
+const remarkRehype = require("remark-rehype").default;
+const html = require("rehype-stringify").default;
+const plugin = require("../index");
+const { recordingRenderer } = require("./helpers");
+
+describe("Rehype plugin", () => {
+  const outputDir = path.resolve(__dirname, "./static/rehype");
+
+  const renderer = recordingRenderer({
+    output: (call, count) => `<svg xmlns="http://www.w3.org/2000/svg" id="d"><text>${count}</text></svg>`
+  });
+  const { rendered } = renderer;
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  function processHtml(input, options) {
+    return rehype()
+      .data("settings", { fragment: true })
+      .use(plugin.rehype, { outputDir, outputFormat: "svg", renderer, ...options })
+      .process({ value: input, path: path.resolve(__dirname, "./resources/doc.html") });
+  }
+
+  it("should be exported as its own entry point", () => {
+    chai.assert.strictEqual(require("../rehype"), plugin.rehype);
+  });
+
+  it("should replace plantuml code elements with images", async () => {
+    const input = [
+      "<h1>Login</h1>",
+      '<pre><code class="language-plantuml">Alice -&gt; Bob\n</code></pre>',
+      '<pre><code class="language-js">const a = 1;</code></pre>'
+    ].join("\n");
+    const output = String(await processHtml(input));
+
+    chai.assert.deepEqual(rendered, ["Alice -> Bob"]);
+    chai.assert.match(
+      output,
+      /^<h1>Login<\/h1>\n<img src="\/plantuml-[0-9a-f]{64}\.svg">\n<pre><code class="language-js">/
+    );
+  });
+
+  it("should inline SVG as elements and process includes like markdown", async () => {
+    const input = '<pre><code class="lang-puml">!include includes/common.iuml\nA -&gt; B</code></pre>';
+    const file = await processHtml(input, { inlineSvg: true });
+
+    chai.assert.include(rendered[0], "A -> B");
+    chai.assert.notInclude(rendered[0], "!include");
+    chai.assert.match(String(file), /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" id="plantuml-[0-9a-f]{8}-d"/);
+  });
+
+  it("should take the meta string of remark-rehype for figures and attributes", async () => {
+    const markdown = ["```plantuml alt=Flow id=flow", "A -> B", "```"].join("\n");
+    const output = await unified()
+      .use(remarkParse)
+      .use(remarkRehype)
+      .use(plugin.rehype, { outputDir, outputFormat: "svg", renderer, figures: true })
+      .use(html)
+      .process(markdown);
+
+    chai.assert.match(
+      String(output),
+      /^<figure id="fig-flow"><img src="\/plantuml-[0-9a-f]{64}\.svg" alt="Flow" id="flow">\n<figcaption>Figure 1<\/figcaption><\/figure>$/
+    );
+  });
+
+  it("should keep code elements it cannot render", async () => {
+    const failing = {
+      name: "failing",
+      render: async () => {
+        throw new Error("Syntax Error?");
+      }
+    };
+    const input = '<pre><code class="language-plantuml">A -- B</code></pre>';
+    const file = await processHtml(input, { renderer: failing, onError: "keep-code" });
+
+    chai.assert.equal(String(file), input);
+    chai.assert.lengthOf(file.messages, 1);
+    chai.assert.equal(file.messages[0].ruleId, "render");
+    chai.assert.include(file.messages[0].reason, "Syntax Error?");
+  });
+});
@@ -0,0 +1,121 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+const { createRenderer } = require("../lib/renderers");
+
+const stubPlantuml = path.resolve(__dirname, "./resources/bin/plantuml");
+
+describe("Renderers", () => {
+  const failingFetch = async () => {
+    throw new Error("The network should not be used");
+  };
+
+  it("should pick the server renderer by default", () => {
+    const renderer = createRenderer({ renderer: "auto" });
+    chai.assert.equal(renderer.name, "server");
+  });
+
+  it("should pick the local renderer when a command or jar is configured", () => {
+    chai.assert.equal(createRenderer({ renderer: "auto", plantumlCommand: stubPlantuml }).name, "local");
+    chai.assert.equal(createRenderer({ renderer: "auto", plantumlJar: "plantuml.jar" }).name, "local");
+  });
+
+  it("should accept a custom renderer object", async () => {
+    const custom = { name: "custom", render: async () => Buffer.from("<svg></svg>") };
+    chai.assert.strictEqual(createRenderer({ renderer: custom }), custom);
+  });
+
+  it("should reject unknown renderer names", () => {
+    chai.assert.throws(() => createRenderer({ renderer: "carrier-pigeon" }), /Unknown PlantUML renderer/);
+  });
+
+  it("should pipe the diagram through the local plantuml command", async () => {
+    const renderer = createRenderer({ renderer: "local", plantumlCommand: stubPlantuml });
+    const svg = (await renderer.render("class LocalTest", "svg")).toString();
+
+    chai.assert.include(svg, "-pipe -tsvg", "Should request the format on the command line");
+    chai.assert.include(svg, "@startuml\nclass LocalTest\n@enduml", "Should wrap the source in @startuml");
+  });
+
+  it("should run PlantUML with the sandbox security profile for untrusted documents and include roots", async () => {
+    const trusted = await createRenderer({ renderer: "local", plantumlCommand: stubPlantuml }).render("class A", "svg");
+    const untrusted = await createRenderer({
+      renderer: "local",
+      plantumlCommand: stubPlantuml,
+      untrusted: true
+    }).render("class A", "svg");
+
+    chai.assert.notInclude(trusted.toString(), "<desc>SANDBOX</desc>");
+    chai.assert.include(untrusted.toString(), "<desc>SANDBOX</desc>");
+
+    const rooted = await createRenderer({
+      renderer: "local",
+      plantumlCommand: stubPlantuml,
+      includeRoots: ["./docs"]
+    }).render("class A", "svg");
+    chai.assert.include(rooted.toString(), "<desc>SANDBOX</desc>", "Include roots sandbox PlantUML as well");
+  });
+
+  it("should not wrap diagrams of other types in @startuml", async () => {
+    const renderer = createRenderer({ renderer: "local", plantumlCommand: stubPlantuml });
+    const svg = (await renderer.render("@startgantt\n[Task] lasts 5 days\n@endgantt", "svg")).toString();
+
+    chai.assert.include(svg, "<text>@startgantt");
+    chai.assert.notInclude(svg, "@startuml");
+  });
+
+  it("should run plantuml.jar through the java command", async () => {
+    const renderer = createRenderer({ plantumlJar: "/opt/plantuml.jar", javaCommand: stubPlantuml });
+    const svg = (await renderer.render("@startuml\nclass JarTest\n@enduml", "svg")).toString();
+
+    chai.assert.include(svg, "-jar /opt/plantuml.jar -pipe -tsvg");
+    chai.assert.notInclude(svg, "@startuml\n@startuml", "Should not wrap an already wrapped diagram");
+  });
+
+  it("should reject with the command's error output", async () => {
+    const renderer = createRenderer({ renderer: "local", plantumlCommand: stubPlantuml });
+
+    try {
+      await renderer.render("syntax error", "png");
+      chai.assert.fail("Render should have failed");
+    } catch (error) {
+      chai.assert.include(error.message, "exited with code 1");
+      chai.assert.include(error.message, "Syntax Error? (line 2)");
+    }
+  });
+
+  it("should reject when the command cannot be started", async () => {
+    const renderer = createRenderer({ renderer: "local", plantumlCommand: path.resolve(__dirname, "./missing") });
+
+    try {
+      await renderer.render("class Missing", "png");
+      chai.assert.fail("Render should have failed");
+    } catch (error) {
+      chai.assert.include(error.message, "Failed to start PlantUML command");
+    }
+  });
+
+  it("should render code blocks without the network when a local renderer is available", async () => {
+    const outputDir = path.resolve(__dirname, "./static/local");
+    await fsExtra.remove(outputDir);
+
+    const input = ["```plantuml", "class OfflineTest", "```"].join("\n");
+
+    const output = await remark()
+      .use(plugin, {
+        outputFormat: "svg",
+        outputDir,
+        plantumlCommand: stubPlantuml,
+        fetch: failingFetch
+      })
+      .process(input);
+
+    const match = output.toString().match(/plantuml-[0-9a-f]+\.svg/);
+    chai.assert(match, "Output should reference the generated SVG");
+
+    const svg = await fsExtra.readFile(path.join(outputDir, match[0]), "utf8");
+    chai.assert.include(svg, "class OfflineTest");
+  });
+});
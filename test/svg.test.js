@@ -0,0 +1,270 @@
+const chai = require("chai");
+const { DOMParser } = require("@xmldom/xmldom");
+const { unified } = require("unified");
+const remarkParse = require("remark-parse").default;
+const remarkRehype = require("remark-rehype").default;
+const html = require("rehype-stringify").default;
+const plugin = require("../index");
+const { PNG } = require("./helpers");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const {
+  makeResponsive,
+  processSvg,
+  removeSource,
+  sanitizeSvg,
+  stripProlog,
+  svgProcessingSettings,
+  uniquifyIds,
+  withSanitize
+} = require("../lib/svg");
+
+describe("Inline SVG", () => {
+  const renderedSvg = [
+    '<?xml version="1.0" encoding="us-ascii" standalone="no"?>',
+    '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">',
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">',
+    '<defs><filter id="f1"/></defs>',
+    '<g id="elem_Login"><rect filter="url(#f1)"/><use xlink:href="#f1"/><text>Login</text></g>',
+    "</svg>"
+  ].join("\n");
+
+  it("should strip the XML prolog and doctype", () => {
+    const svg = stripProlog(renderedSvg);
+    chai.assert.match(svg, /^<svg /);
+    chai.assert.notInclude(svg, "<?xml");
+    chai.assert.notInclude(svg, "<!DOCTYPE");
+  });
+
+  it("should prefix IDs and the references to them", () => {
+    const svg = uniquifyIds(renderedSvg, "d1-");
+    chai.assert.include(svg, 'id="d1-f1"');
+    chai.assert.include(svg, 'id="d1-elem_Login"');
+    chai.assert.include(svg, "url(#d1-f1)");
+    chai.assert.include(svg, 'xlink:href="#d1-f1"');
+  });
+
+  it("should embed the SVG markup as HTML with unique IDs per diagram", async () => {
+    const fetchImpl = async () => ({ ok: true, buffer: async () => Buffer.from(renderedSvg, "utf8") });
+
+    const block = ["```plantuml Login flow", "actor User", "User -> Login", "```"].join("\n");
+    const input = [block, block].join("\n\n");
+
+    const output = await unified()
+      .use(remarkParse)
+      .use(plugin, {
+        outputFormat: "svg",
+        outputDir: "./test/static/inline-svg",
+        inlineSvg: true,
+        fetch: fetchImpl
+      })
+      .use(remarkRehype, { allowDangerousHtml: true })
+      .use(html, { allowDangerousHtml: true })
+      .process(input);
+
+    const htmlOutput = output.toString();
+    const ids = htmlOutput.match(/ id="[^"]*f1"/g);
+
+    chai.assert.notInclude(htmlOutput, "<img", "Should not reference an image file");
+    chai.assert.notInclude(htmlOutput, "<?xml");
+    chai.assert.include(htmlOutput, "<text>Login</text>", "Diagram text should be part of the HTML");
+    chai.assert.include(htmlOutput, 'aria-label="Login flow"');
+    chai.assert.lengthOf(ids, 2);
+    chai.assert.notEqual(ids[0], ids[1], "Each diagram should get its own IDs");
+  });
+
+  it("should keep image nodes for PNG output", async () => {
+    const fetchImpl = async () => ({ ok: true, buffer: async () => PNG });
+
+    const output = await unified()
+      .use(remarkParse)
+      .use(plugin, {
+        outputFormat: "png",
+        outputDir: "./test/static",
+        inlineSvg: true,
+        fetch: fetchImpl
+      })
+      .use(remarkRehype, { allowDangerousHtml: true })
+      .use(html, { allowDangerousHtml: true })
+      .process("```plantuml\nclass PngTest\n```");
+
+    chai.assert.include(output.toString(), "<img");
+  });
+});
+
+describe("SVG processing", () => {
+  const outputDir = path.resolve(__dirname, "./static/svg-processing");
+  const renderedSvg = [
+    '<?xml version="1.0" encoding="us-ascii" standalone="no"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" height="120px" preserveAspectRatio="none" style="width:113px;height:120px;background:#FFFFFF;" width="113px">',
+    "  <script>alert(1)</script>",
+    '  <g onclick="alert(2)">',
+    '    <a xlink:href="javascript:alert(3)"><text>Bob onclick="x"</text></a>',
+    '    <a href="https://example.com"><text>Link</text></a>',
+    "  </g>",
+    "  <!--SRC=[SoWkIImgAStDuNBAJrBGjLDmpCbCJbMmKiX8pSd9vt98pKi1IW80]-->",
+    "  <?plantuml-src SoWkIImgAStDuNBAJrBGjLDmpCbCJbMmKiX8pSd9vt98pKi1IW80?>",
+    "</svg>"
+  ].join("\n");
+
+  beforeEach(async () => {
+    await fsExtra.remove(outputDir);
+  });
+
+  it("should remove scripts, event handlers and script URLs", async () => {
+    const svg = await sanitizeSvg(renderedSvg);
+    chai.assert.match(svg, /^<\?xml version="1\.0" encoding="UTF-8" standalone="no"\?>\n<svg /);
+    chai.assert.notInclude(svg, "<script");
+    chai.assert.notInclude(svg, 'onclick="alert(2)"');
+    chai.assert.notInclude(svg, "javascript:");
+    chai.assert.include(svg, 'href="https://example.com"');
+    chai.assert.include(svg, '<text>Bob onclick="x"</text>', "Diagram text should stay as it is");
+    chai.assert.include(svg, "<?plantuml-src SoWkIImgAStDuNBAJrBGjLDmpCbCJbMmKiX8pSd9vt98pKi1IW80?>");
+  });
+
+  it("should see attributes the way a browser parses them", async () => {
+    const bypasses = [
+      '<svg><a title=">" onmouseover="alert(1)"><text>A</text></a></svg>',
+      '<svg><a href="&#106;avascript:alert(1)"><text>A</text></a></svg>',
+      "<svg><a href=javascript:alert(1)><text>A</text></a></svg>",
+      '<svg><a xlink:href=" java\tscript:alert(1)"><text>A</text></a></svg>',
+      '<svg><a><set attributeName="href" to="javascript:alert(1)"/><text>A</text></a></svg>',
+      '<svg><a><animate attributeName="xlink:href" values="javascript:alert(1)"/><text>A</text></a></svg>',
+      "<svg><foreignObject><iframe src=x></iframe></foreignObject><text>A</text></svg>"
+    ];
+    for (const bypass of bypasses) {
+      const svg = await sanitizeSvg(bypass);
+      chai.assert.notMatch(svg, /javascript|alert|onmouseover|<set|<animate|iframe/i, bypass);
+      chai.assert.include(svg, "<text>A</text>", bypass);
+    }
+    chai.assert.include(
+      await sanitizeSvg('<svg><animate attributeName="opacity" values="0;1"/></svg>'),
+      '<animate attributeName="opacity" values="0;1"/>',
+      "Other animations should stay"
+    );
+  });
+
+  it("should not let comments write markup back", async () => {
+    const input =
+      '<svg xmlns="http://www.w3.org/2000/svg"><g><!--?><script>alert(1)</script><?--!><text>x</text></g></svg>';
+    const svg = await processSvg(input, svgProcessingSettings(true));
+
+    chai.assert.notInclude(svg, "<script");
+    chai.assert.notInclude(svg, "<?");
+    chai.assert.include(svg, "<g><text>x</text></g>");
+
+    const sourceOnly = await sanitizeSvg("<svg><!--?><script>alert(1)</script><?--><?plantuml-src a?b?></svg>");
+    chai.assert.equal(sourceOnly, "<svg><?plantuml-src a?b?></svg>");
+  });
+
+  it("should write a well-formed XML document", async () => {
+    const input = [
+      '<?xml version="1.0" encoding="us-ascii" standalone="no"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">',
+      '<a xlink:href="#b"><text x="1">Caf&#233; &#8594; B &amp; &lt;C&gt;</text></a><path d="M0 0"/>',
+      "</svg>"
+    ].join("\n");
+    const svg = await processSvg(input, svgProcessingSettings({ minify: false, responsive: false }));
+
+    const errors = [];
+    const parser = new DOMParser({ onError: (level, message) => errors.push(message) });
+    const document = parser.parseFromString(
+      new TextDecoder("utf-8", { fatal: true }).decode(Buffer.from(svg)),
+      "text/xml"
+    );
+
+    chai.assert.deepEqual(errors, []);
+    chai.assert.match(svg, /^<\?xml version="1\.0" encoding="UTF-8"/);
+    chai.assert.equal(document.getElementsByTagName("text")[0].textContent, "Café → B & <C>");
+  });
+
+  it("should remove comments and the embedded source", () => {
+    const svg = removeSource(renderedSvg);
+    chai.assert.notInclude(svg, "SRC=");
+    chai.assert.notInclude(svg, "plantuml-src");
+  });
+
+  it("should replace the fixed size with a viewBox", () => {
+    const svg = makeResponsive(renderedSvg);
+    chai.assert.include(svg, 'viewBox="0 0 113 120"');
+    chai.assert.include(svg, 'style="background:#FFFFFF;"');
+    chai.assert.notMatch(svg, /<svg[^>]*\s(?:width|height|preserveAspectRatio)=/);
+
+    const withViewBox = makeResponsive('<svg width="10px" height="20px" viewBox="0 0 5 10"></svg>');
+    chai.assert.equal(withViewBox, '<svg viewBox="0 0 5 10"></svg>');
+  });
+
+  it("should run every step and the transforms in order", async () => {
+    const settings = svgProcessingSettings({
+      responsive: false,
+      transforms: [
+        svg => svg.replace("<svg ", '<svg class="diagram" '),
+        async (svg, { code }) => `${svg}<!--${code}-->`
+      ]
+    });
+    const svg = await processSvg(renderedSvg, settings, { code: "class A" });
+
+    chai.assert.match(svg, /^<svg class="diagram" /);
+    chai.assert.include(svg, 'width="113px"', "Turned off steps should not run");
+    chai.assert.notMatch(svg, />\s+</, "Whitespace between elements should be removed");
+    chai.assert.match(svg, /<!--class A-->$/, "Transforms should run after the built-in steps");
+    chai.assert.isNull(svgProcessingSettings(false));
+  });
+
+  it("should store processed SVGs under their own filename", async () => {
+    const renderer = { name: "fixed", render: async () => Buffer.from(renderedSvg, "utf8") };
+    const processMarkdown = svgProcessing =>
+      unified()
+        .use(remarkParse)
+        .use(plugin, { outputFormat: "svg", outputDir, renderer, svgProcessing })
+        .use(remarkRehype)
+        .use(html)
+        .process("```plantuml\nclass A\n```")
+        .then(String);
+
+    const plain = await processMarkdown(false);
+    const processed = await processMarkdown(true);
+    const processedFile = processed.match(/plantuml-[0-9a-f]{64}\.svg/)[0];
+
+    chai.assert.notEqual(plain, processed, "Processing should change the image filename");
+    const svg = await fsExtra.readFile(path.join(outputDir, processedFile), "utf8");
+    chai.assert.match(svg, /^<svg /);
+    chai.assert.notInclude(svg, "<script");
+    chai.assert.notInclude(svg, "plantuml-src");
+    chai.assert.include(svg, 'viewBox="0 0 113 120"');
+  });
+
+  it("should always sanitize SVGs of untrusted documents that are inlined", async () => {
+    const renderer = { name: "fixed", render: async () => Buffer.from(renderedSvg, "utf8") };
+    const processMarkdown = options =>
+      unified()
+        .use(remarkParse)
+        .use(plugin, { outputFormat: "svg", outputDir, renderer, inlineSvg: true, ...options })
+        .use(remarkRehype, { allowDangerousHtml: true })
+        .use(html, { allowDangerousHtml: true })
+        .process("```plantuml\nclass A\n```")
+        .then(String);
+
+    chai.assert.include(await processMarkdown({}), "<script>alert(1)</script>", "Trusted SVGs are kept as rendered");
+    for (const svgProcessing of [false, { sanitize: false, responsive: false }]) {
+      const output = await processMarkdown({ untrusted: true, svgProcessing });
+      chai.assert.notInclude(output, "<script");
+      chai.assert.notInclude(output, 'onclick="alert(2)"');
+      chai.assert.include(output, 'width="113px"', "Other steps should stay as configured");
+    }
+
+    chai.assert.deepEqual(withSanitize(false), {
+      sanitize: true,
+      removeSource: false,
+      responsive: false,
+      minify: false
+    });
+    chai.assert.deepEqual(withSanitize({ minify: false }), { minify: false, sanitize: true });
+  });
+
+  it("should reject transforms that do not return a string", async () => {
+    const settings = svgProcessingSettings({ transforms: [() => null] });
+    const error = await processSvg(renderedSvg, settings).catch(e => e);
+    chai.assert.include(error.message, "must return the SVG as a string");
+  });
+});
@@ -0,0 +1,84 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { htmlProcessor, recordingRenderer } = require("./helpers");
+const { insertPreamble } = require("../lib/preamble");
+
+describe("Themes", () => {
+  const outputDir = path.resolve(__dirname, "./static/themes");
+  const input = ["```plantuml alt=Login", "@startuml", "Alice -> Bob", "@enduml", "```"].join("\n");
+
+  const renderer = recordingRenderer();
+  const { rendered } = renderer;
+  const toHtml = htmlProcessor({ outputDir, outputFormat: "svg", renderer });
+
+  beforeEach(async () => {
+    renderer.reset();
+    await fsExtra.remove(outputDir);
+  });
+
+  const processHtml = options => toHtml(input, options).then(String);
+
+  it("should insert a preamble after the @start line or at the top", () => {
+    chai.assert.equal(
+      insertPreamble("@startuml\nA -> B\n@enduml", "!theme plain"),
+      "@startuml\n!theme plain\nA -> B\n@enduml"
+    );
+    chai.assert.equal(
+      insertPreamble("@startmindmap\n* A\n@endmindmap", "!theme plain"),
+      "@startmindmap\n!theme plain\n* A\n@endmindmap"
+    );
+    chai.assert.equal(insertPreamble("A -> B", "!theme plain"), "!theme plain\nA -> B");
+    chai.assert.equal(insertPreamble("A -> B", ""), "A -> B");
+  });
+
+  it("should render a light and a dark variant into a picture element", async () => {
+    const output = await processHtml({ themes: true });
+
+    chai.assert.deepEqual(rendered.sort(), [
+      "@startuml\n!theme cyborg\nAlice -> Bob\n@enduml",
+      "@startuml\nAlice -> Bob\n@enduml"
+    ]);
+    chai.assert.match(
+      output,
+      /^<picture><source media="\(prefers-color-scheme: dark\)" srcset="\/plantuml-[0-9a-f]{64}\.svg"><img src="\/plantuml-[0-9a-f]{64}\.svg" alt="Login"><\/picture>$/
+    );
+
+    const [dark, light] = output.match(/plantuml-[0-9a-f]{64}\.svg/g);
+    chai.assert.notEqual(dark, light, "Each variant has its own hashed filename");
+    chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, dark)));
+    chai.assert.isTrue(await fsExtra.pathExists(path.join(outputDir, light)));
+  });
+
+  it("should use the configured preambles and cache each variant", async () => {
+    const themes = {
+      light: "skinparam backgroundColor white",
+      dark: ["!theme cyborg", "skinparam backgroundColor black"]
+    };
+
+    await processHtml({ themes });
+    chai.assert.include(rendered, "@startuml\nskinparam backgroundColor white\nAlice -> Bob\n@enduml");
+    chai.assert.include(rendered, "@startuml\n!theme cyborg\nskinparam backgroundColor black\nAlice -> Bob\n@enduml");
+
+    await processHtml({ themes });
+    chai.assert.lengthOf(rendered, 2, "Both variants should come from the cache the second time");
+  });
+
+  it("should point the variants at the PlantUML server with inlineImage", async () => {
+    const output = await processHtml({ themes: true, inlineImage: true });
+
+    chai.assert.include(
+      output,
+      '<source media="(prefers-color-scheme: dark)" srcset="https://www.plantuml.com/plantuml/svg/'
+    );
+    chai.assert.include(output, '<img src="https://www.plantuml.com/plantuml/svg/');
+    chai.assert.lengthOf(rendered, 0);
+  });
+
+  it("should keep a plain image without themes", async () => {
+    const output = await processHtml({});
+
+    chai.assert.notInclude(output, "<picture>");
+    chai.assert.lengthOf(rendered, 1);
+  });
+});
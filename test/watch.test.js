@@ -0,0 +1,126 @@
+const chai = require("chai");
+const fsExtra = require("fs-extra");
+const path = require("path");
+const { remark } = require("remark");
+const plugin = require("../index");
+
+describe("Watching", function() {
+  this.timeout(10000);
+
+  const workDir = path.resolve(__dirname, "./static/watch");
+  const outputDir = path.join(workDir, "images");
+  const docsDir = path.join(workDir, "docs");
+  const sharedDir = path.join(workDir, "shared");
+
+  // Renders the processed code into the SVG, so tests can see what was included
+  const renderer = {
+    name: "echo",
+    render: async code => Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg"><text>${code}</text></svg>`)
+  };
+
+  let graph;
+  let watcher;
+
+  beforeEach(async () => {
+    await fsExtra.emptyDir(workDir);
+    await fsExtra.outputFile(path.join(sharedDir, "style.puml"), "skinparam shadowing false");
+    await fsExtra.outputFile(path.join(sharedDir, "parts", "a.puml"), "class PartA");
+    graph = new plugin.DependencyGraph();
+  });
+
+  afterEach(async () => {
+    if (watcher) await watcher.close();
+    watcher = null;
+    await fsExtra.remove(workDir);
+  });
+
+  function processDocument(name, ...blocks) {
+    const value = blocks.map(code => ["```plantuml", code, "```"].join("\n")).join("\n\n");
+    return remark()
+      .use(plugin, {
+        outputFormat: "svg",
+        outputDir,
+        renderer,
+        includePaths: [sharedDir],
+        dependencyGraph: graph
+      })
+      .process({ path: path.join(docsDir, name), value });
+  }
+
+  function nextChange() {
+    return new Promise(resolve => watcher.once("change", resolve));
+  }
+
+  async function startWatching() {
+    watcher = plugin.watch(graph);
+    await new Promise(resolve => watcher.once("ready", resolve));
+  }
+
+  it("should record the files each diagram includes, across nested includes", async () => {
+    await fsExtra.outputFile(path.join(sharedDir, "theme.puml"), "!include style.puml");
+    await processDocument("guide.md", "!include theme.puml\nclass A", "class NoIncludes", "!includedir parts");
+
+    const [diagrams] = [...graph.documents.values()];
+    chai.assert.lengthOf(diagrams, 2, "Diagrams without includes are not recorded");
+    chai.assert.deepEqual(diagrams[0].dependencies, [
+      path.join(sharedDir, "theme.puml"),
+      path.join(sharedDir, "style.puml")
+    ]);
+    chai.assert.equal(diagrams[0].line, 1);
+    chai.assert.equal(diagrams[0].document, path.join(docsDir, "guide.md"));
+
+    chai.assert.lengthOf(graph.dependents(path.join(sharedDir, "style.puml")), 1);
+    chai.assert.lengthOf(graph.dependents(path.join(sharedDir, "parts", "b.puml")), 1, "New files in an includedir");
+    chai.assert.lengthOf(graph.dependents(path.join(sharedDir, "other.puml")), 0);
+  });
+
+  it("should replace the dependencies of a document when it is processed again", async () => {
+    await processDocument("guide.md", "!include style.puml");
+    await processDocument("guide.md", "class Plain");
+
+    chai.assert.deepEqual([...graph.files()], []);
+  });
+
+  it("should render only the affected diagrams again when an included file changes", async () => {
+    const rendered = [];
+    const render = renderer.render;
+    await processDocument("guide.md", "!include style.puml\nclass Guide", "!include parts/a.puml");
+    await processDocument("other.md", "!include parts/a.puml");
+    await startWatching();
+
+    renderer.render = async code => {
+      rendered.push(code);
+      return render(code);
+    };
+    try {
+      const change = nextChange();
+      await fsExtra.writeFile(path.join(sharedDir, "style.puml"), "skinparam shadowing true");
+      const { file, documents, diagrams } = await change;
+
+      chai.assert.equal(file, path.join(sharedDir, "style.puml"));
+      chai.assert.deepEqual(documents, [path.join(docsDir, "guide.md")]);
+      chai.assert.lengthOf(diagrams, 1);
+      chai.assert.deepEqual(rendered, ["skinparam shadowing true\nclass Guide"]);
+
+      const svg = await fsExtra.readFile(path.join(outputDir, diagrams[0].output), "utf8");
+      chai.assert.include(svg, "skinparam shadowing true");
+    } finally {
+      renderer.render = render;
+    }
+  });
+
+  it("should pick up includes of documents processed after watching started", async () => {
+    await startWatching();
+    await processDocument("late.md", "!include missing.puml");
+    // Give chokidar time to watch the new directories
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const change = nextChange();
+    await fsExtra.writeFile(path.join(sharedDir, "missing.puml"), "class NowThere");
+    const { documents, diagrams } = await change;
+
+    chai.assert.deepEqual(documents, [path.join(docsDir, "late.md")]);
+    chai.assert.isUndefined(diagrams[0].error);
+    chai.assert.include(await fsExtra.readFile(path.join(outputDir, diagrams[0].output), "utf8"), "class NowThere");
+  });
+});